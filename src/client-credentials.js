@@ -0,0 +1,72 @@
+'use strict'
+/**
+ * Client authentication helpers for the `client_credentials` grant, used by
+ * statically registered clients (such as bots and scripts) to log in without
+ * a browser.
+ *
+ * @see https://tools.ietf.org/html/rfc6749#section-4.4
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#ClientAuthentication
+ */
+const { crypto, JWK, JWT } = require('@solid/jose')
+const base64url = require('base64url')
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer'
+
+const DEFAULT_ASSERTION_ALG = 'RS256'
+const ASSERTION_LIFETIME = 60 // seconds
+
+/**
+ * @param clientId {string}
+ * @param clientSecret {string}
+ *
+ * @return {string} `Authorization` header value, for `client_secret_basic`
+ *   client authentication
+ */
+function basicAuthorization (clientId, clientSecret) {
+  const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+
+  return `Basic ${Buffer.from(credentials).toString('base64')}`
+}
+
+/**
+ * Signs a client assertion JWT, for `private_key_jwt` client authentication.
+ *
+ * @param clientId {string}
+ * @param audience {string} Token endpoint uri
+ * @param privateKey {object} Private JWK (`alg` defaults to RS256)
+ *
+ * @return {Promise<string>} Compact-serialized client assertion
+ */
+function createClientAssertion (clientId, audience, privateKey) {
+  const alg = privateKey.alg || DEFAULT_ASSERTION_ALG
+  const jwk = Object.assign({ key_ops: ['sign'] }, privateKey, { alg })
+
+  return JWK.importKey(jwk)
+    .then(key => {
+      const iat = Math.floor(Date.now() / 1000)
+      const jti = base64url(Buffer.from(crypto.getRandomValues(new Uint8Array(16))))
+
+      const header = { alg }
+      if (privateKey.kid) {
+        header.kid = privateKey.kid
+      }
+
+      const payload = {
+        iss: clientId,
+        sub: clientId,
+        aud: audience,
+        jti,
+        iat,
+        exp: iat + ASSERTION_LIFETIME
+      }
+
+      return new JWT({ header, payload, key: key.cryptoKey }, { filter: false })
+        .encode()
+    })
+}
+
+module.exports = {
+  CLIENT_ASSERTION_TYPE,
+  basicAuthorization,
+  createClientAssertion
+}
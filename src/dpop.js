@@ -0,0 +1,114 @@
+'use strict'
+/**
+ * DPoP (Demonstrating Proof of Possession) helpers, used to obtain and use
+ * access tokens bound to a session key pair, as Solid-OIDC servers expect:
+ * every token request and resource request carries a proof JWT (in the
+ * `DPoP` header), signed with the session key, for that request's method and
+ * uri.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9449
+ * @see https://solidproject.org/TR/oidc#resource-access-validation
+ */
+const { crypto } = require('@solid/jose')
+const base64url = require('base64url')
+
+const DPOP_ALG = 'ES256'
+const DPOP_TOKEN_TYPE = 'DPoP'
+const DPOP_SIGN_ALGORITHM = { name: 'ECDSA', hash: { name: 'SHA-256' } }
+
+/**
+ * @param uri {string}
+ * @return {string} Proof `htu` claim: the uri without query or fragment
+ */
+function htuFor (uri) {
+  const url = new URL(uri)
+  url.search = ''
+  url.hash = ''
+  return url.toString()
+}
+
+/**
+ * @param accessToken {string}
+ * @return {Promise<string>} Proof `ath` claim: the base64url encoded SHA-256
+ *   hash of the access token
+ */
+function accessTokenHash (accessToken) {
+  return crypto.subtle.digest({ name: 'SHA-256' }, Buffer.from(accessToken, 'ascii'))
+    .then(digest => base64url(Buffer.from(digest)))
+}
+
+/**
+ * @param publicJwk {object} EC public JWK
+ * @return {Promise<string>} JWK SHA-256 thumbprint (RFC 7638), as the `jkt`
+ *   confirmation claim of DPoP-bound access tokens
+ */
+function jwkThumbprint (publicJwk) {
+  const { crv, kty, x, y } = publicJwk
+
+  // Required members only, in lexicographic order
+  const members = JSON.stringify({ crv, kty, x, y })
+
+  return crypto.subtle.digest({ name: 'SHA-256' }, Buffer.from(members, 'utf8'))
+    .then(digest => base64url(Buffer.from(digest)))
+}
+
+/**
+ * Signs a DPoP proof for a request.
+ *
+ * @param key {object}
+ * @param key.keyPair {CryptoKeyPair} ES256 session key pair
+ * @param key.publicJwk {object}
+ * @param method {string} Request method
+ * @param uri {string} Request uri
+ * @param [options={}]
+ * @param [options.accessToken] {string} Access token sent with the request
+ *   (for resource requests, not token requests)
+ * @param [options.nonce] {string} Latest `DPoP-Nonce` of the server
+ * @return {Promise<string>} Compact-serialized proof
+ */
+function createProof (key, method, uri, options = {}) {
+  const { kty, crv, x, y } = key.publicJwk
+
+  const payload = {
+    htm: method.toUpperCase(),
+    htu: htuFor(uri),
+    iat: Math.floor(Date.now() / 1000),
+    jti: base64url(Buffer.from(crypto.getRandomValues(new Uint8Array(16))))
+  }
+
+  if (options.nonce) {
+    payload.nonce = options.nonce
+  }
+
+  return Promise.resolve(options.accessToken && accessTokenHash(options.accessToken))
+    .then(ath => {
+      if (ath) {
+        payload.ath = ath
+      }
+
+      // Signed here rather than with `JWT`, whose header drops the `jwk`
+      const header = { typ: 'dpop+jwt', alg: DPOP_ALG, jwk: { kty, crv, x, y } }
+      const data = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`
+
+      return crypto.subtle.sign(DPOP_SIGN_ALGORITHM, key.keyPair.privateKey,
+        Buffer.from(data, 'ascii'))
+        .then(signature => `${data}.${base64url(Buffer.from(signature))}`)
+    })
+}
+
+/**
+ * @param tokenType {string} `token_type` of a token response
+ * @return {boolean} Whether the token is DPoP-bound
+ */
+function isDPoPTokenType (tokenType) {
+  return typeof tokenType === 'string' &&
+    tokenType.toLowerCase() === DPOP_TOKEN_TYPE.toLowerCase()
+}
+
+module.exports = {
+  DPOP_ALG,
+  DPOP_TOKEN_TYPE,
+  createProof,
+  isDPoPTokenType,
+  jwkThumbprint
+}
@@ -0,0 +1,163 @@
+'use strict'
+/**
+ * Errors of the login and callback paths, so that apps can tell failures
+ * apart (and show meaningful messages, or retry) without parsing messages.
+ * All are `SolidAuthError`s, and keep the error they were caused by (if
+ * any) as `cause`.
+ */
+
+class SolidAuthError extends Error {
+  /**
+   * @param message {string}
+   * @param [options={}]
+   * @param [options.cause] {Error} Underlying error
+   */
+  constructor (message, options = {}) {
+    super(message)
+    this.name = this.constructor.name
+    if (options.cause) {
+      this.cause = options.cause
+    }
+  }
+}
+
+/**
+ * The provider (or its configuration or keys) could not be discovered, from
+ * its uri or from a WebID.
+ */
+class ProviderDiscoveryError extends SolidAuthError {}
+
+/**
+ * A client could not be registered with the provider (or created from a
+ * pre-registered client).
+ */
+class RegistrationError extends SolidAuthError {}
+
+/**
+ * The provider responded with an error, to an authentication or token
+ * request, or the response is invalid.
+ */
+class AuthResponseError extends SolidAuthError {
+  /**
+   * @param message {string}
+   * @param [options={}]
+   * @param [options.error] {string} OAuth `error` code (e.g. 'access_denied')
+   * @param [options.errorDescription] {string} OAuth `error_description`
+   * @param [options.errorUri] {string} OAuth `error_uri`
+   * @param [options.status] {number} HTTP status, of a token response
+   * @param [options.cause] {Error}
+   */
+  constructor (message, options = {}) {
+    super(message, options)
+    this.error = options.error
+    this.errorDescription = options.errorDescription
+    this.errorUri = options.errorUri
+    this.status = options.status
+  }
+}
+
+/**
+ * An authentication response does not match a pending request of this app
+ * (missing or unknown `state`), e.g. a response replayed, or handled twice.
+ */
+class StateMismatchError extends SolidAuthError {}
+
+/**
+ * A token (or token response) failed validation: issuer, audience,
+ * signature, expiry etc.
+ */
+class TokenValidationError extends SolidAuthError {
+  /**
+   * @param message {string}
+   * @param [options={}]
+   * @param [options.code] {string} 'signing_key_not_found' if the ID Token
+   *   is signed with a key the provider does not (or no longer) publish, as
+   *   happens during key rotation. Retrying the login usually succeeds
+   * @param [options.cause] {Error}
+   */
+  constructor (message, options = {}) {
+    super(message, options)
+    this.code = options.code
+  }
+}
+
+/**
+ * The WebID could not be extracted from the ID Token, or its profile does
+ * not list the token issuer.
+ */
+class WebIdValidationError extends SolidAuthError {}
+
+/**
+ * The Select Provider or login popup window could not be opened (e.g. it
+ * was blocked), or the user closed it.
+ */
+class PopupError extends SolidAuthError {
+  /**
+   * @param message {string}
+   * @param [options={}]
+   * @param [options.code] {string} 'popup_blocked' or 'popup_closed'
+   * @param [options.cause] {Error}
+   */
+  constructor (message, options = {}) {
+    super(message, options)
+    this.code = options.code
+  }
+}
+
+const SIGNING_KEY_NOT_FOUND = 'signing_key_not_found'
+const POPUP_BLOCKED = 'popup_blocked'
+const POPUP_CLOSED = 'popup_closed'
+
+/**
+ * Types an error thrown while validating an authentication response (by the
+ * RelyingParty, whose errors are plain `Error`s).
+ *
+ * @param error {Error}
+ * @return {SolidAuthError}
+ */
+function fromResponseValidationError (error) {
+  if (error instanceof SolidAuthError) {
+    return error
+  }
+
+  const message = error.message
+  const info = error.info
+
+  if (info && info.error) {
+    return new AuthResponseError(message, {
+      error: info.error,
+      errorDescription: info.error_description,
+      errorUri: info.error_uri,
+      cause: error
+    })
+  }
+
+  if (/state parameter/.test(message)) {
+    return new StateMismatchError(message, { cause: error })
+  }
+
+  if (/Cannot resolve signing key/.test(message)) {
+    return new TokenValidationError(message, { code: SIGNING_KEY_NOT_FOUND, cause: error })
+  }
+
+  if (/id[ _]token|nonce|at_hash|azp claim/i.test(message)) {
+    return new TokenValidationError(message, { cause: error })
+  }
+
+  return new AuthResponseError(message, { cause: error })
+}
+
+module.exports = {
+  SIGNING_KEY_NOT_FOUND,
+  POPUP_BLOCKED,
+  POPUP_CLOSED,
+  SolidAuthError,
+  ProviderDiscoveryError,
+  RegistrationError,
+  AuthResponseError,
+  StateMismatchError,
+  TokenValidationError,
+  WebIdValidationError,
+  PopupError,
+  fromResponseValidationError
+}
@@ -0,0 +1,139 @@
+'use strict'
+/**
+ * Async storage adapter (see `./storage`) that keeps items in a JSON file,
+ * for Node.js apps and CLI tools whose sessions should outlive the process.
+ * Not required by the auth client itself, so that browser bundles do not
+ * pull in `fs`:
+ *
+ * ```js
+ * const FileStorage = require('@solid/solid-auth-oidc/lib/file-storage')
+ * const auth = new SolidAuthOIDC({
+ *   store: new FileStorage(path.join(os.homedir(), '.solid-auth.json'))
+ * })
+ * ```
+ *
+ * The file is created readable by its owner only (it holds tokens), and
+ * rewritten atomically (through a temporary file) on every change.
+ */
+const fs = require('fs')
+const path = require('path')
+
+const FILE_MODE = 0o600
+
+class FileStorage {
+  /**
+   * @param filePath {string}
+   */
+  constructor (filePath) {
+    if (!filePath) {
+      throw new TypeError('FileStorage requires a file path')
+    }
+
+    this.filePath = filePath
+    // Changes are written one at a time, in order
+    this.writes = Promise.resolve()
+  }
+
+  /**
+   * @private
+   * @return {Promise<object>} Stored items, by key
+   */
+  readItems () {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.filePath, 'utf8', (error, contents) => {
+        if (error) {
+          return error.code === 'ENOENT' ? resolve({}) : reject(error)
+        }
+
+        try {
+          resolve(JSON.parse(contents))
+        } catch (error) {
+          reject(new Error(`Invalid storage file ${this.filePath}: ${error.message}`))
+        }
+      })
+    })
+  }
+
+  /**
+   * @private
+   * @param items {object}
+   * @return {Promise}
+   */
+  writeItems (items) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`
+
+    return new Promise((resolve, reject) => {
+      fs.mkdir(path.dirname(this.filePath), { recursive: true }, error => {
+        if (error) { return reject(error) }
+
+        fs.writeFile(tempPath, JSON.stringify(items, null, 2), { mode: FILE_MODE }, error => {
+          if (error) { return reject(error) }
+
+          fs.rename(tempPath, this.filePath, error => error ? reject(error) : resolve())
+        })
+      })
+    })
+  }
+
+  /**
+   * Queues a change to the stored items.
+   *
+   * @private
+   * @param change {Function} Called with the stored items, changes them in
+   *   place
+   * @return {Promise}
+   */
+  update (change) {
+    const write = this.writes
+      .then(() => this.readItems())
+      .then(items => {
+        change(items)
+        return this.writeItems(items)
+      })
+
+    // A failed write should not fail the ones queued after it
+    this.writes = write.catch(() => {})
+
+    return write
+  }
+
+  /**
+   * @param key {string}
+   * @return {Promise<string|null>}
+   */
+  getItem (key) {
+    return this.writes
+      .then(() => this.readItems())
+      .then(items => Object.prototype.hasOwnProperty.call(items, key)
+        ? items[key]
+        : null)
+  }
+
+  /**
+   * @param key {string}
+   * @param value {string}
+   * @return {Promise}
+   */
+  setItem (key, value) {
+    return this.update(items => { items[key] = String(value) })
+  }
+
+  /**
+   * @param key {string}
+   * @return {Promise}
+   */
+  removeItem (key) {
+    return this.update(items => { delete items[key] })
+  }
+
+  /**
+   * @return {Promise<Array<string>>}
+   */
+  keys () {
+    return this.writes
+      .then(() => this.readItems())
+      .then(items => Object.keys(items))
+  }
+}
+
+module.exports = FileStorage
@@ -25,38 +25,373 @@
  https://github.com/solid/solid
  */
 'use strict'
+const EventEmitter = require('events')
+const { crypto, JWT } = require('@solid/jose')
+const base64url = require('base64url')
 const RelyingParty = require('@solid/oidc-rp')
+const AuthenticationRequest = require('@solid/oidc-rp/src/AuthenticationRequest')
+const AuthenticationResponse = require('@solid/oidc-rp/src/AuthenticationResponse')
 const PoPToken = require('@solid/oidc-rp/src/PoPToken')
-const providerSelectPopupSource = require('./provider-select-popup')
+const Session = require('@solid/oidc-rp/src/Session')
+const pkce = require('./pkce')
+const clientCredentials = require('./client-credentials')
+const storage = require('./storage')
+const sessionKeys = require('./session-keys')
+const dpop = require('./dpop')
+const errors = require('./errors')
+const { Logger } = require('./logger')
+const webIdProfile = require('./webid-profile')
+const { renderProviderSelectPopup, initProviderSelectPopup } = require('./provider-select-popup')
 
 // URI parameter types
 const HASH = 'hash'
 const QUERY = 'query'
 
+// OAuth2 flows (grant types)
+const IMPLICIT = 'implicit'
+const AUTHORIZATION_CODE = 'authorization_code'
+
 // AuthenticationRequest sending methods
 const REDIRECT = 'redirect'
+const POPUP = 'popup'
+
+const POPUP_FEATURES = 'menubar=no,resizable=yes,width=500,height=600'
+const POPUP_CLOSED_POLL_INTERVAL = 500 // ms
+
+// Select Provider popup
+const SELECT_PROVIDER_POPUP_FEATURES = 'menubar=no,resizable=yes,width=400,height=500'
+const DEFAULT_PROVIDERS = [
+  { name: 'solidtest.space', url: 'https://solidtest.space' }
+]
+const RECENT_PROVIDERS_KEY = 'oidc.rp.recent-providers'
+const MAX_RECENT_PROVIDERS = 5
+
+// Silent session renewal
+const SILENT_RENEW_LEAD_TIME = 60 * 1000 // ms before expiry to renew at
+const SILENT_RENEW_TIMEOUT = 10 * 1000 // ms to wait for the iframe response
+// `error` of the AuthResponseError a renewal without a response rejects with
+const SILENT_RENEW_TIMEOUT_ERROR = 'timeout'
+
+// Tokens expiring within this many ms are treated as already expired
+const EXPIRY_LEEWAY = 30 * 1000
+
+// Store keys of the WebIDs with a saved session, and of the current one
+const SESSIONS_KEY = 'oidc.rp.sessions'
+const CURRENT_SESSION_KEY = 'oidc.rp.current-session'
+
+// Store key of the `state` param of a pending RP-initiated logout request
+const LOGOUT_STATE_KEY = 'oidc.rp.logout-state'
+
+// Cross-tab session synchronization (see `initTabSync()`)
+const SYNC_CHANNEL_NAME = 'solid-auth-oidc'
+const SYNC_KEY = 'oidc.rp.sync'
+
+// Lock held while refreshing a session, so that tabs do not refresh at once
+const REFRESH_LOCK_NAME = 'solid-auth-oidc-refresh'
+const REFRESH_LOCK_KEY = 'oidc.rp.refresh-lock'
+const REFRESH_LOCK_TIMEOUT = 10 * 1000 // ms after which a stale lock is taken
+const REFRESH_LOCK_POLL_INTERVAL = 100 // ms
+
+// Store key prefixes of the entries of pending authentication requests
+const AUTH_REQUEST_KEY_PREFIXES = [
+  'oidc.rp.by-state.', 'oidc.rp.code-verifier.', 'oidc.rp.session-key.',
+  'oidc.session.privateKey'
+]
+// How long the entries of a pending authentication request are kept, if no
+// response for it arrives
+const AUTH_REQUEST_TTL = 60 * 60 * 1000 // ms
+
+// Provider configuration fields a stored client depends on. When one of them
+// changes, the client is purged (and registered again)
+const CLIENT_CONFIGURATION_FIELDS = [
+  'issuer', 'authorization_endpoint', 'token_endpoint', 'registration_endpoint',
+  'jwks_uri'
+]
+
+// Scope registered (and requested) by default
+const DEFAULT_SCOPE = 'openid profile'
+
+// Scope requested with the client_credentials grant
+const CLIENT_CREDENTIALS_SCOPE = 'openid webid'
+
+// Authentication request params of the `login()` options
+const LOGIN_REQUEST_PARAMS = {
+  scope: 'scope',
+  prompt: 'prompt',
+  loginHint: 'login_hint',
+  maxAge: 'max_age',
+  acrValues: 'acr_values',
+  claims: 'claims',
+  uiLocales: 'ui_locales'
+}
 
-class ClientAuthOIDC {
+// Authorization Code flow response params, cleared from the redirect uri
+const AUTH_RESPONSE_QUERY_PARAMS = [
+  'code', 'state', 'iss', 'session_state', 'error', 'error_description', 'error_uri'
+]
+
+/**
+ * Several users (WebIDs) can be logged in at the same time, for example a
+ * personal and an organization identity. Each has its own saved session, and
+ * one of them is the current user: the one `fetch()` and `issuePoPTokenFor()`
+ * act as. See `listSessions()`, `switchSession()` and `fetchAs()`.
+ *
+ * Emits the following events:
+ *
+ * - 'login' (webId) - a user has logged in
+ * - 'logout' (webId) - a user has been cleared (logged out)
+ * - 'sessionSwitched' (webId) - another saved session became the current one
+ * - 'sessionRestored' (webId) - a saved session was restored
+ * - 'sessionExpired' (webId) - the session expired, and could not be extended
+ * - 'tokenRefreshed' (session) - the session was refreshed or silently renewed
+ * - 'error' (error) - a login, restore or renewal error. Only emitted when
+ *   there are 'error' listeners.
+ */
+class ClientAuthOIDC extends EventEmitter {
   /**
    * @constructor
    * @param [options={}]
    * @param [options.window=Window] Optionally inject global browser window
-   * @param [options.store=localStorage] Optionally inject localStorage
+   * @param [options.store=localStorage] Where clients, pending requests and
+   *   sessions are kept: an async storage adapter (see `./storage`), or a
+   *   `localStorage`-like store, which is wrapped in one. Defaults to
+   *   localStorage, or an in-memory store where there is none (e.g. Node.js)
+   * @param [options.flow='implicit'] {string} OAuth2 flow used to log in,
+   *   either 'implicit' or 'authorization_code' (with PKCE). Defaults to
+   *   'authorization_code' with `options.dpop`
+   * @param [options.fetch=fetch] Optionally inject a fetch() implementation
+   * @param [options.method='redirect'] {string} How the authentication request
+   *   is sent: 'redirect' (full page redirect) or 'popup' (opens the request
+   *   in a popup window, keeping the current page and its in-memory state)
+   * @param [options.silentRenew=false] {boolean} Whether to renew the session
+   *   in a hidden iframe (with `prompt=none`) shortly before it expires
+   * @param [options.refreshTokenStore=options.store] Optionally keep refresh
+   *   tokens in a separate (e.g. encrypting) store, either an async storage
+   *   adapter or an object with the getItem/setItem/removeItem methods of
+   *   localStorage
+   * @param [options.selectIssuer] {Function} Lets the user choose, when
+   *   logging in with a WebID that lists several OIDC issuers. Called with
+   *   the issuer URIs, returns (or resolves to) the chosen one. Defaults to
+   *   the Select Provider popup
+   * @param [options.providers] {Array<{name: string, url: string, icon: string}>}
+   *   Providers suggested in the Select Provider popup (`icon` is an
+   *   optional image url)
+   * @param [options.clients={}] {object} Pre-registered clients, by provider
+   *   uri: either a static client registration (with a `client_id`, and
+   *   optionally `redirect_uris` etc), or a Client ID Document url (used as
+   *   the `client_id`). Used instead of dynamic registration
+   * @param [options.syncTabs=true] {boolean} Whether to keep the session in
+   *   sync with the app's other tabs (see `initTabSync()`)
+   * @param [options.sessionKeyStore] Where non-extractable session keys are
+   *   kept, by handle (see `./session-keys`). Defaults to IndexedDB where
+   *   available. When `null` (the default where there is no IndexedDB, e.g.
+   *   in Node.js), session keys are extractable, and saved with the session
+   * @param [options.dpop=false] {boolean} Whether to obtain DPoP-bound access
+   *   tokens (and send DPoP proofs with them, see `createDPoPProof()`),
+   *   instead of signing PoP tokens. Requires the 'authorization_code' flow
+   * @param [options.redirectUri] {string} Fixed callback uri of the app, to
+   *   which the provider redirects back after logging in (registered as the
+   *   client's redirect uri). Defaults to the page login was started from.
+   *   See the `returnTo` option of `login()`
+   * @param [options.logger] {object} Where diagnostics are logged: `console`,
+   *   or any object with its `debug`, `info`, `warn` and `error` methods.
+   *   Nothing is logged by default. Tokens and `state` values are redacted
+   * @param [options.logLevel='info'] {string} Minimum level logged: 'debug',
+   *   'info', 'warn' or 'error'
    */
   constructor (options = {}) {
+    super()
+    this.logger = new Logger(options.logger, options.logLevel)
     this.window = options.window || global.window
-    this.store = options.store || global.localStorage
+    this.store = storage.from(options.store || global.localStorage)
+    this.refreshTokenStore = options.refreshTokenStore
+      ? storage.from(options.refreshTokenStore)
+      : this.store
+    this.issuerSelector = options.selectIssuer
+    this.providers = options.providers || DEFAULT_PROVIDERS
+    this.staticClients = options.clients || {}
+    this.sessionKeyStore = options.sessionKeyStore !== undefined
+      ? options.sessionKeyStore
+      : (global.indexedDB ? new sessionKeys.IndexedDBKeyStore() : null)
+    this.dpop = !!options.dpop
+    this.flow = options.flow || (this.dpop ? AUTHORIZATION_CODE : IMPLICIT)
+    if (this.dpop && this.flow !== AUTHORIZATION_CODE) {
+      throw new TypeError('DPoP requires the authorization_code flow')
+    }
+    this.fetchImpl = options.fetch || (global.fetch && global.fetch.bind(global))
 
     this.currentClient = null
     this.providerUri = null
     this.webId = null
     this.idToken = null
     this.accessToken = null
-    this.method = REDIRECT // only redirect is currently supported
+    this.session = null
+    // Credentials of a client logged in with `loginWithClientCredentials()`
+    this.clientCredentials = null
+    this.method = options.method || REDIRECT
+    this.silentRenew = !!options.silentRenew
+    this.fixedRedirectUri = options.redirectUri || null
+
+    this.syncChannel = null
+    this.syncStorageListener = null
+    if (options.syncTabs !== false) {
+      this.initTabSync()
+    }
+
+    // Popup and iframe auth requests awaiting a response, by `state` param
+    this.pendingAuthResponses = {}
+    // Select Provider popup awaiting a selection
+    this.pendingProviderSelection = null
+    // Popup window opened by `login()` in popup mode, not used yet
+    this.loginPopup = null
+    this.renewalTimer = null
+    // Latest `DPoP-Nonce` of each server, by origin
+    this.dpopNonces = {}
+  }
+
+  /**
+   * Keeps the session in sync with the app's other tabs (and windows): login,
+   * logout, refresh and session switch are broadcast to them, so that they
+   * load the new current session from the store, or clear it. Uses a
+   * `BroadcastChannel` where available, and `storage` events of the window's
+   * `localStorage` otherwise (whatever the store, which may not fire them).
+   */
+  initTabSync () {
+    const window = this.window
+
+    if (!window) { return }
+
+    if (window.BroadcastChannel) {
+      this.syncChannel = new window.BroadcastChannel(SYNC_CHANNEL_NAME)
+      this.syncChannel.onmessage = event => this.onSessionBroadcast(event.data)
+    } else if (window.localStorage && window.addEventListener) {
+      this.syncStorageListener = event => {
+        if (event.key !== SYNC_KEY || !event.newValue) { return }
+
+        let message
+        try {
+          message = JSON.parse(event.newValue)
+        } catch (error) {
+          this.logger.warn('Ignoring a malformed tab sync message')
+          return
+        }
+
+        this.onSessionBroadcast(message)
+      }
+      window.addEventListener('storage', this.syncStorageListener)
+    }
+  }
+
+  /**
+   * Stops syncing the session with other tabs.
+   */
+  stopTabSync () {
+    if (this.syncChannel) {
+      this.syncChannel.close()
+      this.syncChannel = null
+    }
+
+    if (this.syncStorageListener) {
+      this.window.removeEventListener('storage', this.syncStorageListener)
+      this.syncStorageListener = null
+    }
+  }
+
+  /**
+   * Tells the other tabs that the session changed.
+   *
+   * @private
+   * @param type {string} 'login', 'logout', 'refresh' or 'switch'
+   */
+  broadcastSessionChange (type) {
+    const message = { type, webId: this.webId }
+
+    if (this.syncChannel) {
+      this.syncChannel.postMessage(message)
+    } else if (this.syncStorageListener) {
+      // Storage events only fire on changes, the id makes each message unique
+      message.id = randomState()
+      try {
+        this.window.localStorage.setItem(SYNC_KEY, JSON.stringify(message))
+      } catch (error) {
+        this.emitError(error)
+      }
+    }
+  }
+
+  /**
+   * Converges on the session state another tab has broadcast: loads the
+   * current session from the store, or clears the current user if there is
+   * none (any more). Emits the matching event.
+   *
+   * @private
+   * @param message {{type: string, webId: string}}
+   * @return {Promise<string|null>} Resolves to the current WebID
+   */
+  onSessionBroadcast (message) {
+    if (!message || !message.type) { return Promise.resolve(this.webId) }
+
+    const previousWebId = this.webId
+
+    return this.store.getItem(CURRENT_SESSION_KEY)
+      .then(webId => {
+        if (!webId) {
+          if (previousWebId) {
+            this.forgetCurrentUser()
+            this.emit('logout', previousWebId)
+          }
+          return null
+        }
+
+        if (webId !== previousWebId) {
+          return this.activateBroadcastSession(webId, previousWebId, message)
+        }
+
+        return this.loadSavedSession(webId)
+          .then(saved => {
+            if (!saved || saved.session.authorization.access_token === this.accessToken) {
+              // Another user was logged out, or the change has been loaded already
+              return webId
+            }
+
+            return this.activateBroadcastSession(webId, previousWebId, message)
+          })
+      })
+      .catch(error => {
+        this.emitError(error)
+        return null
+      })
+  }
+
+  /**
+   * @private
+   * @param webId {string} Current WebID, as saved by another tab
+   * @param previousWebId {string|null}
+   * @param message {{type: string, webId: string}}
+   * @return {Promise<string|null>}
+   */
+  activateBroadcastSession (webId, previousWebId, message) {
+    return this.activateSavedSession(webId)
+      .then(activeWebId => {
+        if (!activeWebId) { return null }
+
+        if (activeWebId === previousWebId) {
+          this.emit('tokenRefreshed', this.session)
+        } else if (message.type === 'login') {
+          this.emit('login', activeWebId)
+        } else {
+          this.emit('sessionSwitched', activeWebId)
+        }
+
+        return activeWebId
+      })
   }
 
   initEventListeners (window) {
-    window.addEventListener('message', this.onMessage.bind(this))
+    if (this.messageListener) { return }
+
+    this.messageListener = this.onMessage.bind(this)
+    window.addEventListener('message', this.messageListener)
   }
 
   /**
@@ -80,25 +415,249 @@ class ClientAuthOIDC {
       return Promise.resolve(this.webId)
     }
 
-    // Attempt to find a provider based on the 'state' param of the current URI
-    const providerUri = this.providerFromCurrentUri()
+    return this.sendAuthResponseToOpener()
+      .then(isSent => {
+        // This page is the redirect back to a login popup or a silent renewal
+        // iframe, the response was handed over to the window that opened it
+        if (isSent) { return null }
+
+        return this.handlePostLogoutResponse()
+          .then(isLogoutResponse => {
+            // This page is the redirect back from the provider, after logging out
+            if (isLogoutResponse) { return null }
+
+            // Attempt to find a provider based on the 'state' param of the current URI
+            return this.providerFromCurrentUri()
+              .then(providerUri => providerUri
+                ? this.login(providerUri)
+                : this.restoreSession())
+          })
+      })
+  }
 
-    if (providerUri) {
-      return this.login(providerUri)
-    } else {
-      return Promise.resolve(null)
+  /**
+   * Restores the current user's session saved by a previous login (e.g.
+   * before a page reload). Expired sessions are refreshed if a refresh token
+   * is available, and discarded otherwise.
+   *
+   * @return {Promise<string|null>} Resolves to the restored user's WebID, or
+   *   `null` if there was no (unexpired) session to restore
+   */
+  restoreSession () {
+    let webId
+
+    return this.store.getItem(CURRENT_SESSION_KEY)
+      .then(currentWebId => {
+        webId = currentWebId
+
+        if (!webId) { return null }
+
+        return this.activateSavedSession(webId)
+          .then(webId => {
+            if (webId) {
+              this.emit('sessionRestored', webId)
+            }
+
+            return webId
+          })
+      })
+      .catch(error => {
+        this.logger.warn('Could not restore saved session:', error)
+
+        return this.resetCurrentUser()
+          .then(() => {
+            if (error.sessionExpired) {
+              this.emit('sessionExpired', webId)
+            } else {
+              this.emitError(error)
+            }
+
+            return null
+          })
+      })
+  }
+
+  /**
+   * Lists the saved sessions, of all the users logged in.
+   *
+   * @return {Promise<Array<{webId: string, providerUri: string, expiresAt: number, current: boolean}>>}
+   */
+  listSessions () {
+    return this.loadSessionWebIds()
+      .then(webIds => Promise.all(
+        webIds.map(webId => this.loadSavedSession(webId))
+      ))
+      .then(savedSessions => savedSessions
+        .filter(saved => !!saved)
+        .map(saved => ({
+          webId: saved.webId,
+          providerUri: saved.providerUri,
+          expiresAt: saved.session.expiresAt,
+          current: saved.webId === this.webId
+        })))
+  }
+
+  /**
+   * Makes the saved session of another logged in user the current one.
+   * Emits 'sessionSwitched'.
+   *
+   * @param webId {string}
+   * @throws {Error} If there is no saved session for the WebID, or it has
+   *   expired and could not be refreshed
+   * @return {Promise<string>} Resolves to the WebID
+   */
+  switchSession (webId) {
+    if (webId === this.webId) {
+      return Promise.resolve(webId)
+    }
+
+    // The current user stays current if the switch fails
+    const previousUser = this.captureCurrentUser()
+
+    return this.activateSavedSession(webId)
+      .then(activeWebId => {
+        if (!activeWebId) {
+          throw new Error(`No saved session for WebID ${webId}`)
+        }
+
+        this.emit('sessionSwitched', activeWebId)
+        this.broadcastSessionChange('switch')
+
+        return activeWebId
+      })
+      .catch(error => {
+        if (!error.sessionExpired) {
+          return this.reinstateCurrentUser(previousUser)
+            .then(() => { throw error })
+        }
+
+        return this.clearSavedSession(webId)
+          .then(() => this.reinstateCurrentUser(previousUser))
+          .then(() => {
+            this.emit('sessionExpired', webId)
+            throw error
+          })
+      })
+  }
+
+  /**
+   * @private
+   * @return {object} The current user, client and session, to be reinstated
+   *   with `reinstateCurrentUser()`
+   */
+  captureCurrentUser () {
+    return {
+      currentClient: this.currentClient,
+      webId: this.webId,
+      session: this.session,
+      idToken: this.idToken,
+      accessToken: this.accessToken
     }
   }
 
+  /**
+   * Makes a user captured by `captureCurrentUser()` the current one again,
+   * in memory and in the store.
+   *
+   * @private
+   * @param user {object}
+   * @return {Promise}
+   */
+  reinstateCurrentUser (user) {
+    this.cancelSessionRenewal()
+    Object.assign(this, user)
+
+    if (!user.webId) {
+      return this.store.removeItem(CURRENT_SESSION_KEY)
+    }
+
+    if (this.silentRenew) {
+      this.scheduleSessionRenewal()
+    }
+
+    return this.store.setItem(CURRENT_SESSION_KEY, user.webId)
+  }
+
+  /**
+   * Loads a user's saved session (and its provider's client) as the current
+   * session. Expired sessions are refreshed if a refresh token is available.
+   *
+   * @private
+   * @param webId {string}
+   * @throws {Error} With `sessionExpired` set, if the session has expired and
+   *   could not be refreshed
+   * @return {Promise<string|null>} Resolves to the WebID, or `null` if there
+   *   is no saved session (or client, or session key) for it
+   */
+  activateSavedSession (webId) {
+    let saved
+
+    return this.loadSavedSession(webId)
+      .then(savedSession => {
+        saved = savedSession
+
+        if (!saved) { return [] }
+
+        const handle = saved.session.sessionKeyHandle
+
+        return Promise.all([
+          this.loadClient(saved.providerUri),
+          handle ? this.loadSessionKey(handle) : true
+        ])
+      })
+      .then(([client, sessionKey]) => {
+        if (!client || !sessionKey) {
+          return this.clearSavedSession(webId)
+            .then(() => null)
+        }
+
+        this.cancelSessionRenewal()
+
+        this.currentClient = client
+        this.session = sessionFromSaved(saved.session)
+        this.idToken = this.session.authorization.id_token
+        this.accessToken = this.session.authorization.access_token
+        this.webId = saved.webId
+
+        return this.store.setItem(CURRENT_SESSION_KEY, saved.webId)
+          .then(() => {
+            if (!this.isSessionExpired()) {
+              return this.session
+            }
+
+            return this.hasRefreshToken()
+              .then(hasRefreshToken => {
+                if (!hasRefreshToken) {
+                  throw new Error('Saved session has expired')
+                }
+
+                return this.refreshSession()
+              })
+              .catch(error => {
+                error.sessionExpired = true
+                throw error
+              })
+          })
+      })
+      .then(session => {
+        if (!session) { return null }
+
+        if (this.silentRenew) {
+          this.scheduleSessionRenewal()
+        }
+
+        return this.webId
+      })
+  }
+
   /**
    * Returns the 'end session' api endpoint of the current RP client's provider
    * (e.g. 'https://example.com/logout'), if one is available.
    *
+   * @param [rp=this.currentClient] {RelyingParty}
    * @return {string|null}
    */
-  providerEndSessionEndpoint () {
-    const rp = this.currentClient
-
+  providerEndSessionEndpoint (rp = this.currentClient) {
     if (!rp || !rp.provider || !rp.provider.configuration) { return null }
 
     const config = rp.provider.configuration
@@ -134,6 +693,37 @@ class ClientAuthOIDC {
     return state
   }
 
+  /**
+   * Extracts the OAuth error of an error response (such as `access_denied`,
+   * or `login_required` for a `prompt=none` request) from an authentication
+   * response uri.
+   *
+   * @param uri {string}
+   * @param [uriType] {string} 'hash' or 'query', defaults to the response
+   *   type of the configured flow
+   *
+   * @return {AuthResponseError|null} Error, if the response is an error
+   *   response
+   */
+  extractAuthError (uri, uriType = this.responseUriType()) {
+    if (!uri) { return null }
+    const uriObj = new URL(uri)
+    const params = uriType === QUERY
+      ? uriObj.searchParams
+      : new URLSearchParams((uriObj.hash || '#').substr(1))
+
+    const error = params.get('error')
+    if (!error) { return null }
+
+    const errorDescription = params.get('error_description')
+
+    return new errors.AuthResponseError(
+      errorDescription
+        ? `Authentication response error: ${error} (${errorDescription})`
+        : `Authentication response error: ${error}`,
+      { error, errorDescription, errorUri: params.get('error_uri') })
+  }
+
   keyByProvider (providerUri) {
     return `oidc.rp.by-provider.${providerUri}`
   }
@@ -145,7 +735,111 @@ class ClientAuthOIDC {
     return `oidc.rp.by-state.${state}`
   }
 
+  keyForRefreshToken (webId) {
+    return `oidc.rp.refresh-token.${webId}`
+  }
+
+  keyForSession (webId) {
+    return `oidc.rp.session.${webId}`
+  }
+
+  keyForCodeVerifier (state) {
+    if (!state) {
+      throw new TypeError('No state provided to keyForCodeVerifier()')
+    }
+    return `oidc.rp.code-verifier.${state}`
+  }
+
+  keyForSessionKeyHandle (state) {
+    if (!state) {
+      throw new TypeError('No state provided to keyForSessionKeyHandle()')
+    }
+    return `oidc.rp.session-key.${state}`
+  }
+
+  /**
+   * Generates a session key, with which PoP tokens (or, with `dpop`, DPoP
+   * proofs) are signed. With a `sessionKeyStore`, the key pair is
+   * non-extractable, and kept in the key store under a new handle. Without
+   * one, the (extractable) private key is serialized, to be saved with the
+   * session.
+   *
+   * @private
+   * @return {Promise<object>} Resolves to `{ publicJwk, sessionKey }` or
+   *   `{ publicJwk, sessionKeyHandle }`
+   */
+  createSessionKey () {
+    const alg = this.dpop ? dpop.DPOP_ALG : undefined
+
+    if (!this.sessionKeyStore && this.dpop) {
+      return sessionKeys.generateSessionKeyPair(alg, true)
+        .then(({ keyPair, publicJwk }) => crypto.subtle.exportKey('jwk', keyPair.privateKey)
+          .then(privateJwk => ({ publicJwk, sessionKey: JSON.stringify(privateJwk) })))
+    }
+
+    if (!this.sessionKeyStore) {
+      return AuthenticationRequest.generateSessionKeys()
+        .then(keys => ({
+          publicJwk: keys.public,
+          sessionKey: JSON.stringify(keys.private)
+        }))
+    }
+
+    const sessionKeyHandle = randomState()
+
+    return sessionKeys.generateSessionKeyPair(alg)
+      .then(({ keyPair, publicJwk }) => {
+        return this.sessionKeyStore.saveKey(sessionKeyHandle, keyPair)
+          .then(() => ({ publicJwk, sessionKeyHandle }))
+      })
+  }
+
+  /**
+   * @private
+   * @param handle {string}
+   * @return {Promise<CryptoKeyPair|null>} Resolves to `null` if the key is
+   *   not found (or there is no key store to find it in)
+   */
+  loadSessionKey (handle) {
+    if (!this.sessionKeyStore) {
+      return Promise.resolve(null)
+    }
+
+    return this.sessionKeyStore.loadKey(handle)
+  }
+
+  /**
+   * @private
+   * @param [handle] {string}
+   * @return {Promise}
+   */
+  removeSessionKey (handle) {
+    if (!handle || !this.sessionKeyStore) {
+      return Promise.resolve()
+    }
+
+    return this.sessionKeyStore.removeKey(handle)
+  }
+
+  /**
+   * Returns where the provider puts the authentication response params on the
+   * redirect uri: in the query string for the Authorization Code flow, in the
+   * hash fragment for the Implicit flow.
+   *
+   * @return {string} 'hash' or 'query'
+   */
+  responseUriType () {
+    return this.flow === AUTHORIZATION_CODE ? QUERY : HASH
+  }
+
   /**
+   * Loads the stored client for a provider (if the provider's configuration
+   * has not changed since, see `revalidateClient()`; not checked when
+   * handling an auth response, which the client sent the request for),
+   * or else creates one
+   * from its pre-registered client (see the `clients` constructor option),
+   * or else registers one dynamically.
+   *
    * @param providerUri {string}
    *
    * @return {Promise<RelyingParty>}
@@ -154,24 +848,102 @@ class ClientAuthOIDC {
     this.currentClient = null
 
     return this.loadClient(providerUri)
+      .then(loadedClient => loadedClient && !this.currentUriHasAuthResponse()
+        ? this.revalidateClient(providerUri, loadedClient)
+        : loadedClient)
+      .then(loadedClient => loadedClient &&
+        this.checkClientRedirectUri(providerUri, loadedClient))
       .then(loadedClient => {
         if (loadedClient) {
           this.currentClient = loadedClient
           return loadedClient
-        } else {
-          this.currentClient = null
-          return this.registerClient(providerUri)
         }
+
+        this.currentClient = null
+
+        const staticClient = this.staticClientFor(providerUri)
+
+        if (staticClient) {
+          return this.createStaticClient(providerUri, staticClient)
+        }
+
+        return this.registerClient(providerUri)
       })
   }
 
+  /**
+   * Checks a stored client against its provider's current configuration, and
+   * purges it from the store if the provider has changed the configuration
+   * it depends on (see `CLIENT_CONFIGURATION_FIELDS`), e.g. after moving its
+   * endpoints, or being reset. If the configuration cannot be fetched, the
+   * client is kept.
+   *
+   * @private
+   * @param providerUri {string}
+   * @param client {RelyingParty}
+   * @return {Promise<RelyingParty|null>} Resolves to the client, or to `null`
+   *   if it was purged
+   */
+  revalidateClient (providerUri, client) {
+    const storedConfiguration = client.provider.configuration || {}
+
+    return Promise.resolve()
+      .then(() => this.fetchJson(configurationUriFor(providerUri),
+        'Error fetching openid configuration'))
+      .then(configuration => {
+        const hasChanged = CLIENT_CONFIGURATION_FIELDS.some(field =>
+          configuration[field] !== storedConfiguration[field])
+
+        if (!hasChanged) { return client }
+
+        return this.store.removeItem(this.keyByProvider(providerUri))
+          .then(() => null)
+      }, () => client)
+  }
+
+  /**
+   * Purges a stored (dynamically registered) client from the store if it was
+   * registered for another redirect uri than the fixed `redirectUri` option,
+   * e.g. for the page the user happened to be on, before the option was set.
+   *
+   * @private
+   * @param providerUri {string}
+   * @param client {RelyingParty}
+   * @return {Promise<RelyingParty|null>} Resolves to the client, or to `null`
+   *   if it was purged
+   */
+  checkClientRedirectUri (providerUri, client) {
+    const redirectUris = client.registration && client.registration.redirect_uris
+
+    if (!this.fixedRedirectUri || !redirectUris ||
+        redirectUris.includes(this.fixedRedirectUri) ||
+        this.staticClientFor(providerUri)) {
+      return Promise.resolve(client)
+    }
+
+    return this.store.removeItem(this.keyByProvider(providerUri))
+      .then(() => null)
+  }
+
+  /**
+   * @param providerUri {string}
+   * @return {object|string|null} Pre-registered client registration, or
+   *   Client ID Document url, for the provider
+   */
+  staticClientFor (providerUri) {
+    const configuredUri = Object.keys(this.staticClients)
+      .find(uri => isSameIssuer(uri, providerUri))
+
+    return configuredUri ? this.staticClients[configuredUri] : null
+  }
+
   /**
    * @param providerUri {string}
    * @return {Promise<RelyingParty>}
    */
   loadClient (providerUri) {
     if (!providerUri) {
-      const error = new Error('Cannot load or register client, providerURI missing')
+      const error = new errors.ProviderDiscoveryError('Cannot load or register client, providerURI missing')
       return Promise.reject(error)
     }
     if (this.currentClient && this.currentClient.provider.url === providerUri) {
@@ -181,25 +953,44 @@ class ClientAuthOIDC {
 
     // Check for client config stored locally
     const key = this.keyByProvider(providerUri)
-    let clientConfig = this.store.getItem(key)
 
-    if (clientConfig) {
-      clientConfig = JSON.parse(clientConfig)
-      return RelyingParty.from(clientConfig)
-    } else {
-      return Promise.resolve(null)
-    }
+    return this.store.getItem(key)
+      .then(clientConfig => {
+        if (!clientConfig) { return null }
+
+        return RelyingParty.from(JSON.parse(clientConfig))
+      })
   }
 
   /**
    * Loads a provider's URI from store, given a `state` uri param.
    * @param state {string}
-   * @return {string}
+   * @return {Promise<string|null>} `null` if there is no pending request for
+   *   the `state`, or it has expired
    */
   loadProvider (state) {
-    const key = this.keyByState(state)
-    const providerUri = this.store.getItem(key)
-    return providerUri
+    return this.loadStateEntry(state)
+      .then(entry => entry && !isExpiredStateEntry(entry) ? entry.providerUri : null)
+  }
+
+  /**
+   * @private
+   * @param state {string}
+   * @return {Promise<{providerUri: string, createdAt: number, returnTo: string, silent: boolean}|null>}
+   *   Entry saved by `saveProviderByState()` (without `createdAt` if it was
+   *   saved by an earlier version, as the plain provider uri)
+   */
+  loadStateEntry (state) {
+    return this.store.getItem(this.keyByState(state))
+      .then(value => {
+        if (!value) { return null }
+
+        try {
+          return JSON.parse(value)
+        } catch (error) {
+          return { providerUri: value }
+        }
+      })
   }
 
   /**
@@ -207,57 +998,583 @@ class ClientAuthOIDC {
    * when the user initiates login explicitly (such as by pressing a Login
    * button, etc).
    *
-   * @param [providerUri] {string} Provider URI, result of a Provider Selection
-   *   operation (that the app developer has provided). If `null`, the
-   *   `selectProvider()` step will kick off its own UI for Provider Selection.
+   * @param [provider] {string|object} Provider URI, result of a Provider
+   *   Selection operation (that the app developer has provided). If `null`,
+   *   the `selectProvider()` step will kick off its own UI for Provider
+   *   Selection.
+   * @param [provider.webId] {string} Alternatively, the user's WebID, from
+   *   whose profile the provider is discovered
+   *
+   * @param [options={}]
+   * @param [options.returnTo] {string} Uri of the app (e.g. a deep link) to
+   *   navigate to after logging in, typically when the provider redirects
+   *   back to a fixed `redirectUri`. Relative uris are resolved against the
+   *   current page. Must be of the same origin as the app
+   * @param [options.scope] {string|Array<string>} Scope requested (e.g.
+   *   'openid webid offline_access'), `openid` is always included. A
+   *   dynamically registered client is registered again, if it was not
+   *   registered for all of it
+   * @param [options.prompt] {string} E.g. 'login' or 'consent'
+   * @param [options.loginHint] {string} `login_hint`, e.g. the user's WebID
+   * @param [options.maxAge] {number} `max_age`, in seconds
+   * @param [options.acrValues] {string|Array<string>} `acr_values`
+   * @param [options.claims] {object} `claims` request
+   * @param [options.uiLocales] {string|Array<string>} `ui_locales`
+   *
+   * The sessions of any other logged in users are kept, and the newly logged
+   * in user becomes the current one.
    *
+   * @throws {TypeError} If `returnTo` is not of the same origin as the app
    * @return {Promise<string>} Resolves to the logged in user's WebID URI
    */
-  login (providerUri) {
-    this.clearCurrentUser()
+  login (provider, options = {}) {
+    // In popup mode, the login popup is opened right away, while handling the
+    // user's click (popup blockers block it later on). The Select Provider UI
+    // is shown in it, if needed, and it is sent the auth request once ready
+    if (this.method === POPUP && !this.currentUriHasAuthResponse()) {
+      this.openLoginPopup()
+    }
+
+    return Promise.resolve(provider)
+      .then(provider => {
+        if (options.returnTo) {
+          options = Object.assign({}, options, {
+            returnTo: this.resolveReturnTo(options.returnTo)
+          })
+        }
 
-    return Promise.resolve(providerUri)
+        if (provider && provider.webId) {
+          return this.providerFromWebId(provider.webId)
+        }
+        return provider
+      })
       .then(providerUri => this.selectProvider(providerUri))
       .then(selectedProviderUri => {
         if (selectedProviderUri) {
           return this.loadOrRegisterClient(selectedProviderUri)
+            .then(client => client && options.scope
+              ? this.widenClientScope(selectedProviderUri, client, options.scope)
+              : client)
         }
       })
       .then(client => {
         if (client) {
-          return this.validateOrSendAuthRequest(client)
+          return this.validateOrSendAuthRequest(client, options)
         }
       })
-  }
-
-  clearCurrentUser () {
-    this.webId = null
-    this.accessToken = null
-    this.idToken = null
+      .then(webId => {
+        this.closeLoginPopup()
+        return webId
+      }, error => {
+        this.closeLoginPopup()
+        throw error
+      })
   }
 
   /**
-   * Clears the current user and tokens, and does a url redirect to the
-   * current RP client's provider's 'end session' endpoint.
-   * A redirect is done (instead of an ajax 'get') to enable the provider to
-   * clear any http-only session cookies.
+   * Opens a blank login popup window (see `login()`), unless one is already
+   * open.
+   *
+   * @private
    */
-  logout () {
-    this.clearCurrentUser()
-
-    const logoutEndpoint = this.providerEndSessionEndpoint()
+  openLoginPopup () {
+    if (this.loginPopup && !this.loginPopup.closed) { return }
 
-    if (!logoutEndpoint) { return }
-
-    const logoutUrl = new URL(logoutEndpoint)
-
-    logoutUrl.searchParams.set('returnToUrl', this.currentLocation())
-
-    this.redirectTo(logoutUrl.toString())
+    this.loginPopup = this.window.open('', 'solidAuthPopup', POPUP_FEATURES) || null
   }
 
   /**
-   * Resolves to the URI of an OIDC identity provider, from one of the following:
+   * Takes the login popup opened by `login()`, for the Select Provider UI or
+   * the auth request.
+   *
+   * @private
+   * @return {Window|null} The popup, if it is (still) open
+   */
+  takeLoginPopup () {
+    const popup = this.loginPopup
+    this.loginPopup = null
+
+    return popup && !popup.closed ? popup : null
+  }
+
+  /**
+   * Closes the login popup, if it was not used (e.g. the login failed before
+   * the auth request was sent).
+   *
+   * @private
+   */
+  closeLoginPopup () {
+    const popup = this.takeLoginPopup()
+
+    if (popup) { popup.close() }
+  }
+
+  /**
+   * Registers a dynamically registered client again, for a wider scope, if
+   * it was not registered for all of the scope requested. Pre-registered
+   * clients are used as they are.
+   *
+   * @private
+   * @param providerUri {string}
+   * @param client {RelyingParty}
+   * @param scope {string|Array<string>} Requested scope
+   * @return {Promise<RelyingParty>}
+   */
+  widenClientScope (providerUri, client, scope) {
+    const registration = client.registration || {}
+    const authenticate = (client.defaults && client.defaults.authenticate) || {}
+    const registeredScopes = scopesOf(registration.scope || authenticate.scope || DEFAULT_SCOPE)
+    const requestedScopes = scopesOf(scope)
+
+    const isRegistered = requestedScopes
+      .every(requested => registeredScopes.includes(requested))
+
+    if (isRegistered || this.staticClientFor(providerUri)) {
+      return Promise.resolve(client)
+    }
+
+    const widenedScopes = registeredScopes.concat(requestedScopes
+      .filter(requested => !registeredScopes.includes(requested)))
+
+    return this.registerClient(providerUri, {
+      redirectUri: (registration.redirect_uris || [])[0],
+      scope: widenedScopes.join(' ')
+    })
+  }
+
+  /**
+   * Resolves a `returnTo` uri (see `login()`) against the current page.
+   *
+   * @private
+   * @param returnTo {string}
+   * @throws {TypeError} If the uri is not of the same origin as the app
+   * @return {string}
+   */
+  resolveReturnTo (returnTo) {
+    const currentUri = this.currentLocation()
+    const resolved = new URL(returnTo, currentUri || undefined)
+
+    if (!this.isTrustedOrigin(resolved.origin)) {
+      throw new TypeError(`Cannot return to ${resolved.origin} after login, only to the app's own origin`)
+    }
+
+    return resolved.toString()
+  }
+
+  /**
+   * Logs in a statically registered client (such as a bot, or a script run in
+   * CI) as its own WebID, with the `client_credentials` grant. Does not need
+   * (or touch) a browser window, so it can be used in Node.js.
+   *
+   * The client authenticates to the token endpoint with its secret
+   * (`client_secret_basic`), or with a client assertion signed with its
+   * private key (`private_key_jwt`). A session key is generated and its
+   * public key sent as the `key` token request param (as in authentication
+   * requests), so that the ID Token is bound to it and the session can be
+   * used to issue PoP tokens. In `dpop` mode, the access token is bound to
+   * the session key instead, and the WebID is read from its `webid` claim
+   * (Solid-OIDC servers need not issue an ID Token for this grant).
+   *
+   * The credentials are kept in memory (not in the store), to log in again
+   * when the session needs to be extended.
+   *
+   * @param options {object}
+   * @param options.providerUri {string}
+   * @param options.clientId {string}
+   * @param [options.clientSecret] {string}
+   * @param [options.privateKey] {object} Private JWK, used instead of a
+   *   client secret
+   * @param [options.scope='openid webid'] {string}
+   *
+   * @throws {Error} If the provider rejects the credentials, or the ID Token
+   *   (or DPoP-bound access token) or the WebID cannot be validated
+   *
+   * @return {Promise<string>} Resolves to the client's WebID
+   */
+  loginWithClientCredentials (options = {}) {
+    const { providerUri, clientId, clientSecret, privateKey } = options
+
+    if (!providerUri || !clientId || !(clientSecret || privateKey)) {
+      const error = new Error('Cannot log in with client credentials, providerUri, clientId and clientSecret or privateKey are required')
+      return Promise.reject(error)
+    }
+
+    const registration = {
+      client_id: clientId,
+      token_endpoint_auth_method: privateKey ? 'private_key_jwt' : 'client_secret_basic'
+    }
+
+    let client, sessionKey, dpopKey, tokens, idClaims
+
+    return this.discoverClient(providerUri, registration)
+      .then(discoveredClient => {
+        client = discoveredClient
+
+        return Promise.all([
+          this.createSessionKey(),
+          this.clientAuthentication(client, options)
+        ])
+      })
+      .then(([key, authentication]) => {
+        sessionKey = key
+
+        const params = Object.assign({
+          grant_type: 'client_credentials',
+          scope: options.scope || CLIENT_CREDENTIALS_SCOPE
+        }, authentication.params)
+
+        if (!this.dpop) {
+          params.key = JSON.stringify(sessionKey.publicJwk)
+
+          return this.requestTokens(client, params,
+            'Error requesting client credentials tokens', authentication.headers)
+        }
+
+        return this.loadDPoPKey(sessionKey)
+          .then(key => {
+            dpopKey = key
+
+            return this.requestTokens(client, params,
+              'Error requesting client credentials tokens', authentication.headers,
+              dpopKey)
+          })
+      })
+      .then(tokenResponse => {
+        tokens = tokenResponse
+
+        if (!tokens.access_token) {
+          throw new errors.TokenValidationError('Missing access_token in token response')
+        }
+
+        if (!tokens.id_token) {
+          if (this.dpop) {
+            return this.validateAccessToken(client, tokens.access_token, dpopKey)
+          }
+
+          throw new errors.TokenValidationError('Missing id_token in token response, required to issue PoP tokens')
+        }
+
+        return this.validateRefreshedIdToken(client, tokens.id_token)
+      })
+      .then(claims => {
+        idClaims = claims
+
+        return this.extractAndValidateWebId(idClaims)
+      })
+      .then(webId => {
+        const isRenewal = webId === this.webId
+
+        const session = Session.from({
+          credentialType: 'access_token',
+          issuer: idClaims.iss,
+          sessionKey: sessionKey.sessionKey,
+          idClaims,
+          authorization: {
+            client_id: clientId,
+            id_token: tokens.id_token,
+            access_token: tokens.access_token
+          }
+        })
+        session.expiresAt = this.expiresAtFrom(tokens)
+        session.sessionKeyHandle = sessionKey.sessionKeyHandle
+        if (this.dpop) {
+          session.tokenType = dpop.DPOP_TOKEN_TYPE
+        }
+
+        this.clientCredentials = options
+        this.currentClient = client
+        this.webId = webId
+        this.idToken = tokens.id_token || null
+        this.accessToken = tokens.access_token
+        this.session = session
+
+        return this.saveSession()
+          .then(() => {
+            if (isRenewal) {
+              this.emit('tokenRefreshed', session)
+            } else {
+              this.emit('login', webId)
+            }
+            this.broadcastSessionChange(isRenewal ? 'refresh' : 'login')
+
+            return webId
+          })
+      })
+  }
+
+  /**
+   * Clears the current user, tokens and saved session. Emits 'logout' if a
+   * user was logged in. The other users' saved sessions are kept.
+   *
+   * @return {Promise}
+   */
+  clearCurrentUser () {
+    const webId = this.webId
+
+    return this.resetCurrentUser()
+      .then(() => {
+        if (webId) {
+          this.emit('logout', webId)
+          this.broadcastSessionChange('logout')
+        }
+      })
+  }
+
+  /**
+   * Clears the current user, tokens and saved session, without emitting any
+   * events.
+   *
+   * @private
+   * @return {Promise}
+   */
+  resetCurrentUser () {
+    const webId = this.webId
+
+    this.forgetCurrentUser()
+
+    return webId ? this.clearSavedSession(webId) : Promise.resolve()
+  }
+
+  /**
+   * Clears the current user and tokens from memory only (the saved session
+   * is left alone).
+   *
+   * @private
+   */
+  forgetCurrentUser () {
+    this.cancelSessionRenewal()
+    this.webId = null
+    this.accessToken = null
+    this.idToken = null
+    this.session = null
+    this.clientCredentials = null
+  }
+
+  /**
+   * Clears the current user once its session has expired, emitting
+   * 'sessionExpired'.
+   *
+   * @return {Promise}
+   */
+  expireSession () {
+    const webId = this.webId
+
+    return this.resetCurrentUser()
+      .then(() => this.emit('sessionExpired', webId))
+  }
+
+  /**
+   * Emits an 'error' event, if anyone is listening for it (an 'error' event
+   * without listeners would throw).
+   *
+   * @param error {Error}
+   */
+  emitError (error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error)
+    }
+  }
+
+  /**
+   * Clears the current user, tokens and the user's entries in the store
+   * (saved session, refresh token, pending authentication requests, and the
+   * provider's client unless another logged in user needs it). Then does an
+   * RP-initiated logout: a url redirect to the provider's 'end session'
+   * endpoint, with the `id_token_hint`, `post_logout_redirect_uri` and
+   * `state` params. A redirect is done (instead of an ajax 'get') to enable
+   * the provider to clear any http-only session cookies. The redirect back
+   * is handled by `currentUser()`.
+   *
+   * Given the WebID of another (not current) logged in user, only clears
+   * that user's entries, emitting 'logout'.
+   *
+   * @see https://openid.net/specs/openid-connect-rpinitiated-1_0.html
+   *
+   * @param [webId=this.webId] {string}
+   * @param [options={}]
+   * @param [options.localOnly=false] {boolean} Skips the redirect to the
+   *   provider, only logging out of this app
+   * @param [options.postLogoutRedirectUri] {string} Where the provider
+   *   redirects back to, defaults to the client's registered
+   *   `post_logout_redirect_uris` (if any)
+   * @return {Promise}
+   */
+  logout (webId = this.webId, options = {}) {
+    if (webId && typeof webId === 'object') {
+      options = webId
+      webId = this.webId
+    }
+
+    if (webId && webId !== this.webId) {
+      return this.loadSavedSession(webId)
+        .then(saved => Promise.all([
+          this.clearRefreshToken(webId),
+          this.clearSavedSession(webId)
+        ])
+          .then(() => saved && this.clearClientIfUnused(saved.providerUri)))
+        .then(() => {
+          this.emit('logout', webId)
+          this.broadcastSessionChange('logout')
+        })
+    }
+
+    const client = this.currentClient
+    const idToken = this.idToken
+
+    return Promise.resolve()
+      .then(() => this.webId && this.clearRefreshToken(this.webId))
+      .then(() => this.clearCurrentUser())
+      .then(() => this.clearAuthRequests())
+      .then(() => {
+        if (!client) { return }
+
+        return this.clearClientIfUnused(client.provider.url)
+          .then(() => {
+            if (options.localOnly || !this.providerEndSessionEndpoint(client)) { return }
+
+            const state = randomState()
+            const postLogoutRedirectUri = options.postLogoutRedirectUri ||
+              (client.registration && client.registration.post_logout_redirect_uris &&
+                client.registration.post_logout_redirect_uris[0])
+
+            const logoutUri = client.logoutRequest({
+              id_token_hint: idToken || undefined,
+              post_logout_redirect_uri: (idToken && postLogoutRedirectUri) || undefined,
+              state
+            })
+
+            return this.store.setItem(LOGOUT_STATE_KEY, state)
+              .then(() => { this.redirectTo(logoutUri) })
+          })
+      })
+  }
+
+  /**
+   * Handles the redirect back from the provider after an RP-initiated
+   * logout: if the current uri has the `state` param of the logout request,
+   * removes it from the url.
+   *
+   * @return {Promise<boolean>} Whether the current uri is the post-logout
+   *   redirect
+   */
+  handlePostLogoutResponse () {
+    return this.store.getItem(LOGOUT_STATE_KEY)
+      .then(expectedState => {
+        if (!expectedState) { return false }
+
+        const state = this.extractState(this.currentLocation(), QUERY)
+
+        if (state !== expectedState) { return false }
+
+        return this.store.removeItem(LOGOUT_STATE_KEY)
+          .then(() => {
+            this.replaceCurrentUrl(this.currentLocationNoAuthParams())
+            return true
+          })
+      })
+  }
+
+  /**
+   * Clears the store entries of pending authentication requests (provider
+   * and code verifier by `state`, and the RelyingParty request history and
+   * session key).
+   *
+   * @private
+   * @return {Promise}
+   */
+  clearAuthRequests () {
+    return this.store.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => AUTH_REQUEST_KEY_PREFIXES.some(prefix => key.startsWith(prefix)) ||
+          key.includes('/requestHistory/'))
+        .map(key => {
+          if (!key.startsWith('oidc.rp.session-key.')) {
+            return this.store.removeItem(key)
+          }
+
+          // Pending requests' session keys are never used
+          return this.store.getItem(key)
+            .then(handle => this.removeSessionKey(handle))
+            .then(() => this.store.removeItem(key))
+        })))
+  }
+
+  /**
+   * Clears the store entries of an authentication request, once its response
+   * has been handled (or the request has expired): the provider and code
+   * verifier by `state`, the RelyingParty request history, and a session
+   * key not yet attached to a session.
+   *
+   * @private
+   * @param state {string}
+   * @return {Promise}
+   */
+  clearAuthRequest (state) {
+    const sessionKeyHandleKey = this.keyForSessionKeyHandle(state)
+
+    return Promise.all([
+      this.store.keys(),
+      this.store.getItem(sessionKeyHandleKey)
+    ])
+      .then(([keys, sessionKeyHandle]) => Promise.all([
+        this.store.removeItem(this.keyByState(state)),
+        this.store.removeItem(this.keyForCodeVerifier(state)),
+        this.store.removeItem(sessionKeyHandleKey),
+        this.removeSessionKey(sessionKeyHandle)
+      ].concat(keys
+        .filter(key => key.endsWith(`/requestHistory/${state}`))
+        .map(key => this.store.removeItem(key)))))
+  }
+
+  /**
+   * Clears the store entries of authentication requests that have expired
+   * (see `AUTH_REQUEST_TTL`), whose response never arrived.
+   *
+   * @private
+   * @return {Promise}
+   */
+  collectExpiredAuthRequests () {
+    const prefix = 'oidc.rp.by-state.'
+
+    return this.store.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(prefix))
+        .map(key => {
+          const state = key.slice(prefix.length)
+
+          // Entries saved without a timestamp, by an earlier version, are
+          // cleared as well
+          return this.loadStateEntry(state)
+            .then(entry => entry && (!entry.createdAt || isExpiredStateEntry(entry)) &&
+              this.clearAuthRequest(state))
+        })))
+  }
+
+  /**
+   * Clears a provider's stored client, unless a logged in user's saved
+   * session is with that provider.
+   *
+   * @private
+   * @param providerUri {string}
+   * @return {Promise}
+   */
+  clearClientIfUnused (providerUri) {
+    return this.listSessions()
+      .then(sessions => {
+        const inUse = sessions.some(session => session.providerUri === providerUri)
+
+        if (inUse) { return }
+
+        if (this.currentClient && this.currentClient.provider.url === providerUri) {
+          this.currentClient = null
+        }
+
+        return this.store.removeItem(this.keyByProvider(providerUri))
+      })
+  }
+
+  /**
+   * Resolves to the URI of an OIDC identity provider, from one of the following:
    *
    * 1. If a `providerUri` was passed in by the app developer (perhaps they
    *   developed a custom 'Select Provider' UI), that value is returned.
@@ -278,13 +1595,55 @@ class ClientAuthOIDC {
     }
 
     // Attempt to find a provider based on the 'state' param of the current URI
-    providerUri = this.providerFromCurrentUri()
-    if (providerUri) {
-      return Promise.resolve(providerUri)
+    return this.providerFromCurrentUri()
+      // Lastly, kick off a Select Provider popup window workflow
+      .then(providerUri => providerUri || this.providerFromUI())
+  }
+
+  /**
+   * Discovers the provider to log in with from a WebID, by fetching the WebID
+   * profile and reading its `solid:oidcIssuer` issuers. When several issuers
+   * are listed, the user chooses with `selectIssuer()`.
+   *
+   * @param webId {string}
+   * @throws {ProviderDiscoveryError} If the profile cannot be fetched, or
+   *   lists no issuers
+   * @return {Promise<string>} Resolves to the provider (issuer) URI
+   */
+  providerFromWebId (webId) {
+    return webIdProfile.fetchOidcIssuers(webId, this.fetchImpl)
+      .catch(error => {
+        throw new errors.ProviderDiscoveryError(error.message, { cause: error })
+      })
+      .then(issuers => {
+        if (issuers.length === 0) {
+          throw new errors.ProviderDiscoveryError(`WebID ${webId} does not list any OIDC issuer`)
+        }
+
+        return this.selectIssuer(issuers)
+      })
+  }
+
+  /**
+   * Chooses one of a WebID's issuers: the only one if there is just one,
+   * otherwise the one picked by the `selectIssuer` constructor option
+   * callback (or, without it, in the Select Provider popup).
+   *
+   * @param issuers {Array<string>}
+   * @return {Promise<string>}
+   */
+  selectIssuer (issuers) {
+    if (issuers.length === 1) {
+      return Promise.resolve(issuers[0])
     }
 
-    // Lastly, kick off a Select Provider popup window workflow
-    return this.providerFromUI()
+    if (!this.issuerSelector) {
+      return Promise.resolve(this.providerFromUI(
+        issuers.map(url => ({ name: url, url }))
+      ))
+    }
+
+    return Promise.resolve(this.issuerSelector(issuers))
   }
 
   /**
@@ -292,150 +1651,1678 @@ class ClientAuthOIDC {
    * previously saved providerUri from it. If no `state` param is present, or if
    * no providerUri has been saved, returns `null`.
    *
-   * @return {string|null} Provider URI, if present
+   * @return {Promise<string|null>} Provider URI, if present
    */
   providerFromCurrentUri () {
     const currentUri = this.currentLocation()
-    const stateParam = this.extractState(currentUri, HASH)
+    const stateParam = this.extractState(currentUri, this.responseUriType())
 
     if (stateParam) {
       return this.loadProvider(stateParam)
     } else {
-      return null
+      return Promise.resolve(null)
     }
   }
 
-  providerFromUI () {
-    console.log('Getting provider from default popup UI')
-    this.initEventListeners(this.window)
+  /**
+   * Opens the Select Provider popup window, listing the given providers and
+   * the recently used ones. The popup's handlers (attached by this window,
+   * see `initProviderSelectPopup()`) pass the selected provider to
+   * `onProviderSelected()`.
+   *
+   * @param [providers=this.providers] {Array<{name: string, url: string, icon: string}>}
+   * @throws {Error} If the popup could not be opened, or was closed without
+   *   selecting a provider
+   * @return {Promise<string>} Resolves to the selected provider uri
+   */
+  providerFromUI (providers = this.providers) {
+    this.logger.debug('Getting provider from default popup UI')
 
-    if (this.selectProviderWindow) {
+    if (this.pendingProviderSelection) {
       // Popup has already been opened
       this.selectProviderWindow.focus()
-    } else {
-      // Open a new Provider Select popup window
-      this.selectProviderWindow = this.window.open('',
+      return this.pendingProviderSelection.promise
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      // Show the Select Provider UI in the login popup (in popup mode), which
+      // is kept open for the auth request, or open a new popup window
+      const loginPopup = this.takeLoginPopup()
+      const popup = loginPopup || this.window.open('',
         'selectProviderWindow',
-        'menubar=no,resizable=yes,width=300,height=300'
+        SELECT_PROVIDER_POPUP_FEATURES
       )
 
-      this.selectProviderWindow.document.write(providerSelectPopupSource)
-      this.selectProviderWindow.document.close()
-    }
+      if (!popup) {
+        return reject(new errors.PopupError('Could not open Select Provider popup window',
+          { code: errors.POPUP_BLOCKED }))
+      }
+
+      // The popup is opened right away (popup blockers only allow it while
+      // handling the user's click), and written once the recent providers
+      // are loaded
+      this.loadRecentProviders()
+        .then(recentProviders => {
+          popup.document.write(renderProviderSelectPopup({ providers, recentProviders }))
+          popup.document.close()
+
+          initProviderSelectPopup(popup.document,
+            providerUri => this.onProviderSelected(providerUri))
+        })
+        .catch(error => {
+          this.clearProviderSelection()
+          close()
+          reject(error)
+        })
+
+      const closedTimer = this.watchPopupClosed(popup, () => {
+        this.clearProviderSelection()
+        reject(new errors.PopupError('Select Provider popup window was closed',
+          { code: errors.POPUP_CLOSED }))
+      })
+
+      const close = () => {
+        clearInterval(closedTimer)
+        if (loginPopup) {
+          this.loginPopup = loginPopup
+        } else {
+          popup.close()
+        }
+      }
+
+      this.selectProviderWindow = popup
+      this.pendingProviderSelection = { resolve, reject, close }
+    })
+
+    if (this.pendingProviderSelection) {
+      this.pendingProviderSelection.promise = promise
+    }
+
+    return promise
+  }
+
+  /**
+   * Resolves the pending Select Provider popup selection, and closes the
+   * popup.
+   *
+   * @private
+   * @param providerUri {string}
+   */
+  onProviderSelected (providerUri) {
+    const pending = this.pendingProviderSelection
+
+    if (!pending) {
+      this.logger.warn('onProviderSelected - no provider selection pending')
+      return
+    }
+
+    this.logger.info('Provider selected:', providerUri)
+    this.clearProviderSelection()
+    pending.close()
+    pending.resolve(providerUri)
+  }
+
+  /**
+   * @private
+   */
+  clearProviderSelection () {
+    this.pendingProviderSelection = null
+    this.selectProviderWindow = null
+  }
+
+  /**
+   * Opens an authentication request uri in a popup window.
+   *
+   * @private
+   * @param authUri {string}
+   * @param state {string} `state` param of the request
+   * @return {Promise<string>} Resolves to the auth response uri, posted back
+   *   from the popup (see `sendAuthResponseToOpener()`)
+   */
+  openAuthPopup (authUri, state) {
+    this.initEventListeners(this.window)
+
+    return new Promise((resolve, reject) => {
+      // The popup opened by `login()`, or a new one (which popup blockers
+      // may block, if the user's click was too long ago)
+      let popup = this.takeLoginPopup()
+      if (popup) {
+        popup.location.href = authUri
+      } else {
+        popup = this.window.open(authUri, 'solidAuthPopup', POPUP_FEATURES)
+      }
+
+      if (!popup) {
+        return reject(new errors.PopupError('Could not open login popup window',
+          { code: errors.POPUP_BLOCKED }))
+      }
+
+      const closedTimer = this.watchPopupClosed(popup, () => {
+        delete this.pendingAuthResponses[state]
+        reject(new errors.PopupError('Login popup window was closed',
+          { code: errors.POPUP_CLOSED }))
+      })
+
+      const close = () => {
+        clearInterval(closedTimer)
+        popup.close()
+      }
+
+      this.pendingAuthResponses[state] = { resolve, reject, close }
+    })
+  }
+
+  /**
+   * Loads an authentication request uri in a hidden iframe.
+   *
+   * @private
+   * @param authUri {string}
+   * @param state {string} `state` param of the request
+   * @throws {AuthResponseError} With the 'timeout' `error` if no response
+   *   is posted back within `SILENT_RENEW_TIMEOUT`
+   * @return {Promise<string>} Resolves to the auth response uri, posted back
+   *   from the iframe (see `sendAuthResponseToOpener()`)
+   */
+  openAuthFrame (authUri, state) {
+    this.initEventListeners(this.window)
+
+    const document = this.window.document
+    const frame = document.createElement('iframe')
+    frame.setAttribute('style', 'display: none')
+    frame.setAttribute('src', authUri)
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        delete this.pendingAuthResponses[state]
+        close()
+        reject(new errors.AuthResponseError('Timed out waiting for silent renewal response',
+          { error: SILENT_RENEW_TIMEOUT_ERROR }))
+      }, SILENT_RENEW_TIMEOUT)
+
+      const close = () => {
+        clearTimeout(timeout)
+        if (frame.parentNode) { frame.parentNode.removeChild(frame) }
+      }
+
+      this.pendingAuthResponses[state] = { resolve, reject, close }
+
+      document.body.appendChild(frame)
+    })
+  }
+
+  /**
+   * Polls a popup window, and invokes a callback once it has been closed.
+   *
+   * @private
+   * @param popup {Window}
+   * @param onClosed {Function}
+   * @return {number} Interval timer id, to stop watching with `clearInterval()`
+   */
+  watchPopupClosed (popup, onClosed) {
+    const timer = setInterval(() => {
+      if (popup.closed) {
+        clearInterval(timer)
+        onClosed()
+      }
+    }, POPUP_CLOSED_POLL_INTERVAL)
+
+    return timer
+  }
+
+  /**
+   * When the current page is the redirect back from a login popup's (or a
+   * silent renewal iframe's) authentication request, posts the auth response
+   * to the window that opened the popup (or that contains the iframe).
+   *
+   * Responses are only posted to a parent window for requests sent by
+   * `renewSession()`, so that an app embedded in another's frame handles its
+   * own responses.
+   *
+   * @return {Promise<boolean>} Whether the response was posted
+   */
+  sendAuthResponseToOpener () {
+    const window = this.window
+
+    if (!window || !this.currentUriHasAuthResponse()) {
+      return Promise.resolve(false)
+    }
+
+    const currentUri = this.currentLocation()
+
+    let opener
+    if (this.method === POPUP && window.opener) {
+      opener = Promise.resolve(window.opener)
+    } else if (window.parent && window.parent !== window) {
+      const state = this.extractState(currentUri, this.responseUriType())
+
+      opener = this.loadStateEntry(state)
+        .then(entry => entry && entry.silent ? window.parent : null)
+    } else {
+      opener = Promise.resolve(null)
+    }
+
+    return opener
+      .then(opener => {
+        if (!opener) { return false }
+
+        const message = {
+          event_type: 'authResponse',
+          value: currentUri
+        }
+
+        opener.postMessage(message, new URL(currentUri).origin)
+
+        return true
+      })
+  }
+
+  /**
+   * Resolves the pending popup or iframe auth request that an auth response
+   * uri (posted back from the popup or iframe) belongs to.
+   *
+   * @param responseUri {string}
+   */
+  onAuthResponse (responseUri) {
+    const state = this.extractState(responseUri, this.responseUriType())
+    const pending = state && this.pendingAuthResponses[state]
+
+    if (!pending) {
+      this.logger.warn('onAuthResponse - no login request pending for response')
+      return
+    }
+
+    delete this.pendingAuthResponses[state]
+    pending.close()
+    pending.resolve(responseUri)
+  }
+
+  /**
+   * Tests whether a `message` event origin is the origin of the current page
+   * (the provider select popup and the login popup callback are both served
+   * from it).
+   *
+   * @param origin {string}
+   * @return {boolean}
+   */
+  isTrustedOrigin (origin) {
+    const currentUri = this.currentLocation()
+
+    if (!currentUri || !origin) { return false }
+
+    return new URL(currentUri).origin === origin
+  }
+
+  /**
+   * Tests whether the current URI is the result of an AuthenticationRequest
+   * return redirect.
+   * @return {boolean}
+   */
+  currentUriHasAuthResponse () {
+    const currentUri = this.currentLocation()
+    const stateParam = this.extractState(currentUri, this.responseUriType())
+
+    return !!stateParam
+  }
+
+  /**
+   * Redirects the current window to the given uri.
+   * @param uri {string}
+   */
+  redirectTo (uri) {
+    this.window.location.href = uri
+
+    return false
+  }
+
+  /**
+   * @private
+   * @param client {RelyingParty}
+   * @param [options={}] Login options, see `login()`
+   * @throws {Error}
+   * @return {Promise<null|string>} Resolves to `null` when redirecting, or to
+   *   the webId of the logged in user when using a popup
+   */
+  sendAuthRequest (client, options = {}) {
+    const params = loginRequestParams(options,
+      !!client.provider.configuration.request_parameter_supported)
+
+    return this.createAuthRequest(client, params, { returnTo: options.returnTo })
+      .then(({ authUri, state }) => {
+        if (this.method === POPUP) {
+          return this.openAuthPopup(authUri, state)
+            .then(responseUri => this.initUserFromResponse(client, responseUri))
+        }
+        if (this.method === REDIRECT) {
+          return this.redirectTo(authUri)
+        }
+      })
+  }
+
+  /**
+   * Composes an authentication request uri, and saves the provider (and the
+   * PKCE code verifier, for the code flow) by the request's `state` param.
+   * The RelyingParty's request history and session key entries are saved
+   * along with them (see `saveRequestSession()`).
+   *
+   * @private
+   * @param client {RelyingParty}
+   * @param [params={}] {object} Additional authentication request params
+   * @param [options={}]
+   * @param [options.returnTo] {string} Saved with the provider, see `login()`
+   * @param [options.silent] {boolean} Whether the request is a silent
+   *   renewal, see `sendAuthResponseToOpener()`
+   * @throws {Error}
+   * @return {Promise<{authUri: string, state: string}>}
+   */
+  createAuthRequest (client, params = {}, options = {}) {
+    const providerUri = client.provider.url
+    // The RelyingParty writes its request entries to a synchronous session
+    // object, they are then saved to the (async) store
+    const requestSession = {}
+    let codeVerifier, sessionKeyHandle
+
+    // A good time to clear the entries of earlier requests that never got a
+    // response (failing to do so should not fail the request)
+    return this.collectExpiredAuthRequests()
+      .catch(() => {})
+      .then(() => {
+        if (this.flow !== AUTHORIZATION_CODE) { return params }
+
+        codeVerifier = pkce.generateCodeVerifier()
+
+        return pkce.codeChallengeFor(codeVerifier)
+          .then(codeChallenge => {
+            return Object.assign({}, params, {
+              code_challenge: codeChallenge,
+              code_challenge_method: pkce.CODE_CHALLENGE_METHOD
+            })
+          })
+      })
+      .then(params => {
+        // The RelyingParty merges the request params into its default
+        // authenticate params in place. Hand it a copy, so that per-request
+        // params (such as `prompt`) do not leak into later requests
+        const defaults = client.defaults
+        client.defaults = Object.assign({}, defaults, {
+          authenticate: Object.assign({}, defaults && defaults.authenticate)
+        })
+
+        const restoreDefaults = () => { client.defaults = defaults }
+
+        return client.createRequest(params, requestSession)
+          .then(authUri => {
+            restoreDefaults()
+            return authUri
+          }, error => {
+            restoreDefaults()
+            throw error
+          })
+      })
+      .then(authUri => {
+        // DPoP-bound tokens are requested with a key of their own, at the
+        // token endpoint
+        if (this.dpop) {
+          delete requestSession[RelyingParty.SESSION_PRIVATE_KEY]
+          return authUri
+        }
+
+        if (!this.sessionKeyStore) { return authUri }
+
+        // Swap the RelyingParty's (extractable) session key for a
+        // non-extractable one, kept in the key store
+        delete requestSession[RelyingParty.SESSION_PRIVATE_KEY]
+
+        return this.createSessionKey()
+          .then(key => {
+            sessionKeyHandle = key.sessionKeyHandle
+
+            return sessionKeys.replaceRequestKey(authUri, key.publicJwk)
+          })
+      })
+      .then(authUri => {
+        const state = this.extractState(authUri, QUERY)
+        if (!state) {
+          throw new errors.SolidAuthError('Invalid authentication request uri')
+        }
+
+        return Promise.all([
+          this.saveRequestSession(requestSession),
+          this.saveProviderByState(state, providerUri, options),
+          codeVerifier && this.saveCodeVerifier(state, codeVerifier),
+          sessionKeyHandle &&
+            this.store.setItem(this.keyForSessionKeyHandle(state), sessionKeyHandle)
+        ])
+          .then(() => ({ authUri, state }))
+      })
+  }
+
+  /**
+   * Saves the entries the RelyingParty wrote to a request's session object
+   * (its request history, by `state`, and the session private key) to the
+   * store, under the same keys.
+   *
+   * @private
+   * @param requestSession {object}
+   * @return {Promise}
+   */
+  saveRequestSession (requestSession) {
+    return Promise.all(Object.keys(requestSession)
+      .map(key => this.store.setItem(key, requestSession[key])))
+  }
+
+  /**
+   * Loads the RelyingParty's entries for an authentication response (the
+   * request history for its `state`, and the session private key) from the
+   * store, into the session object the RelyingParty validates it with.
+   *
+   * @private
+   * @param client {RelyingParty}
+   * @param responseUri {string}
+   * @return {Promise<object>}
+   */
+  loadRequestSession (client, responseUri) {
+    const state = this.extractState(responseUri, this.responseUriType())
+    const issuer = client.provider.configuration.issuer
+    const keys = [RelyingParty.SESSION_PRIVATE_KEY]
+
+    if (state) {
+      keys.push(`${issuer}/requestHistory/${state}`)
+    }
+
+    return Promise.all(keys.map(key => this.store.getItem(key)))
+      .then(values => values.reduce((requestSession, value, index) => {
+        if (value !== null) {
+          requestSession[keys[index]] = value
+        }
+        return requestSession
+      }, {}))
+  }
+
+  /**
+   * Silently renews the current user's session: sends a `prompt=none`
+   * authentication request in a hidden iframe, and validates the response
+   * with the current client, updating the ID Token and Access Token.
+   *
+   * @throws {SolidAuthError} If not logged in
+   * @throws {AuthResponseError} If the provider requires user interaction
+   *   (e.g. a `login_required` error response), or does not respond in time
+   *   (a 'timeout' `error`)
+   * @return {Promise<string>} Resolves to the current user's WebID
+   */
+  renewSession () {
+    const client = this.currentClient
+
+    if (!client) {
+      const error = new errors.SolidAuthError('Cannot renew session, no current client')
+      return Promise.reject(error)
+    }
+
+    return this.createAuthRequest(client, { prompt: 'none' }, { silent: true })
+      .then(({ authUri, state }) => this.openAuthFrame(authUri, state))
+      .then(responseUri => this.initUserFromResponse(client, responseUri))
+  }
+
+  /**
+   * Returns the expiry time of the current session: that of the access token,
+   * if the token response included `expires_in`, otherwise the ID Token's
+   * `exp` claim.
+   *
+   * @return {number|null} Milliseconds since epoch
+   */
+  sessionExpiresAt () {
+    const session = this.session
+
+    if (!session) { return null }
+
+    if (session.expiresAt) { return session.expiresAt }
+
+    const idClaims = session.idClaims
+
+    if (!idClaims || !idClaims.exp) { return null }
+
+    return idClaims.exp * 1000
+  }
+
+  /**
+   * @return {boolean} Whether the current session has (or is about to) expire
+   */
+  isSessionExpired () {
+    const expiresAt = this.sessionExpiresAt()
+
+    return !!expiresAt && expiresAt - EXPIRY_LEEWAY <= Date.now()
+  }
+
+  /**
+   * @return {Promise<boolean>} Whether the current session can be refreshed
+   *   with a refresh token
+   */
+  hasRefreshToken () {
+    if (!this.currentClient || !this.webId) {
+      return Promise.resolve(false)
+    }
+
+    return this.loadRefreshToken(this.webId)
+      .then(refreshToken => !!refreshToken)
+  }
+
+  /**
+   * Refreshes the current session with the stored refresh token, at the
+   * provider's token endpoint. If the provider rotates refresh tokens, the
+   * new refresh token replaces the stored one.
+   *
+   * Refreshes are done holding a lock shared with the app's other tabs (see
+   * `withRefreshLock()`). If another tab has refreshed the session in the
+   * meantime, its refreshed session is loaded instead.
+   *
+   * @throws {Error} If not logged in, or no refresh token is stored
+   * @return {Promise<Session>} Resolves to the refreshed session
+   */
+  refreshSession () {
+    const client = this.currentClient
+    const accessToken = this.accessToken
+
+    if (!client || !this.session) {
+      return Promise.reject(new Error('Cannot refresh session, not logged in'))
+    }
+
+    return this.hasRefreshToken()
+      .then(hasRefreshToken => {
+        if (!hasRefreshToken) {
+          throw new Error('Cannot refresh session, no refresh token')
+        }
+
+        return this.withRefreshLock(() => {
+          return this.loadSessionRefreshedElsewhere(accessToken)
+            .then(session => session || this.requestSessionRefresh(client))
+        })
+      })
+  }
+
+  /**
+   * Loads the current user's saved session, if it has been refreshed (by
+   * another tab) since the access token was issued, and has not expired.
+   *
+   * @private
+   * @param accessToken {string} Access token of the session to refresh
+   * @return {Promise<Session|null>}
+   */
+  loadSessionRefreshedElsewhere (accessToken) {
+    return this.loadSavedSession(this.webId)
+      .then(saved => {
+        if (!saved || saved.session.authorization.access_token === accessToken) {
+          return null
+        }
+
+        const expiresAt = saved.session.expiresAt
+
+        if (expiresAt && expiresAt - EXPIRY_LEEWAY <= Date.now()) { return null }
+
+        if (saved.session.authorization.access_token !== this.accessToken) {
+          const session = sessionFromSaved(saved.session)
+
+          this.idToken = session.authorization.id_token
+          this.accessToken = session.authorization.access_token
+          this.session = session
+          this.emit('tokenRefreshed', session)
+        }
+
+        return this.session
+      })
+  }
+
+  /**
+   * @private
+   * @param client {RelyingParty}
+   * @throws {Error}
+   * @return {Promise<Session>}
+   */
+  requestSessionRefresh (client) {
+    const session = this.session
+    const webId = this.webId
+
+    let refreshToken, tokens, idClaims
+
+    return this.loadRefreshToken(webId)
+      .then(storedRefreshToken => {
+        refreshToken = storedRefreshToken
+
+        // A DPoP session's refresh token is bound to its key, too
+        return session.tokenType === dpop.DPOP_TOKEN_TYPE
+          ? this.loadDPoPKey(session)
+          : null
+      })
+      .then(dpopKey => {
+        return this.requestTokens(client, {
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken
+        }, 'Error refreshing session', {}, dpopKey)
+      })
+      .then(tokenResponse => {
+        tokens = tokenResponse
+
+        if (!tokens.access_token) {
+          throw new errors.TokenValidationError('Missing access_token in token response')
+        }
+
+        if (tokens.id_token) {
+          return this.validateRefreshedIdToken(client, tokens.id_token)
+        }
+
+        return session.idClaims
+      })
+      .then(claims => {
+        idClaims = claims
+
+        if (session.idClaims && idClaims.sub !== session.idClaims.sub) {
+          throw new errors.TokenValidationError('Refreshed ID Token is for a different subject')
+        }
+
+        return tokens.refresh_token &&
+          this.saveRefreshToken(webId, tokens.refresh_token)
+      })
+      .then(() => {
+        const refreshedSession = Session.from({
+          credentialType: session.credentialType,
+          issuer: session.issuer,
+          sessionKey: session.sessionKey,
+          idClaims,
+          authorization: Object.assign({}, session.authorization, {
+            access_token: tokens.access_token,
+            id_token: tokens.id_token || session.authorization.id_token,
+            refresh_token: tokens.refresh_token || refreshToken
+          })
+        })
+        refreshedSession.expiresAt = this.expiresAtFrom(tokens)
+        refreshedSession.sessionKeyHandle = session.sessionKeyHandle
+        refreshedSession.tokenType = session.tokenType
+
+        this.idToken = refreshedSession.authorization.id_token
+        this.accessToken = refreshedSession.authorization.access_token
+        this.session = refreshedSession
+
+        return this.saveSession()
+          .then(() => {
+            this.emit('tokenRefreshed', refreshedSession)
+            this.broadcastSessionChange('refresh')
+
+            if (this.silentRenew) {
+              this.scheduleSessionRenewal()
+            }
+
+            return refreshedSession
+          })
+      })
+  }
+
+  /**
+   * Runs a callback holding the refresh lock, shared with the app's other
+   * tabs. Uses the Web Locks API where available, and otherwise a (best
+   * effort) lock entry in the store, taken over once stale.
+   *
+   * @private
+   * @param callback {Function}
+   * @return {Promise} Resolves to the callback's result
+   */
+  withRefreshLock (callback) {
+    const navigator = this.window && this.window.navigator
+
+    if (navigator && navigator.locks) {
+      return navigator.locks.request(REFRESH_LOCK_NAME, callback)
+    }
+
+    return this.acquireStoreLock()
+      .then(release => Promise.resolve()
+        .then(callback)
+        .then(result => release().then(() => result),
+          error => release().then(() => { throw error })))
+  }
+
+  /**
+   * @private
+   * @return {Promise<Function>} Resolves to the lock release function, once
+   *   the lock is acquired
+   */
+  acquireStoreLock () {
+    const id = randomState()
+    const readLock = () => this.store.getItem(REFRESH_LOCK_KEY)
+      .then(lock => JSON.parse(lock))
+      .catch(() => null)
+    const release = () => readLock()
+      .then(lock => {
+        if (lock && lock.id === id) {
+          return this.store.removeItem(REFRESH_LOCK_KEY)
+        }
+      })
+
+    const tryAcquire = () => readLock()
+      .then(lock => {
+        if (lock && lock.expiresAt > Date.now()) { return false }
+
+        return this.store.setItem(REFRESH_LOCK_KEY, JSON.stringify({
+          id, expiresAt: Date.now() + REFRESH_LOCK_TIMEOUT
+        }))
+          // Another tab may have written its lock at the same time
+          .then(readLock)
+          .then(lock => !!lock && lock.id === id)
+      })
+      .then(acquired => {
+        if (acquired) { return release }
+
+        return new Promise(resolve => setTimeout(resolve, REFRESH_LOCK_POLL_INTERVAL))
+          .then(tryAcquire)
+      })
+
+    return tryAcquire()
+  }
+
+  /**
+   * Extends the current session: refreshes it if a refresh token is
+   * available, otherwise renews it silently in a hidden iframe. Clients
+   * logged in with their client credentials log in again instead.
+   *
+   * @return {Promise}
+   */
+  extendSession () {
+    if (this.clientCredentials) {
+      return this.loginWithClientCredentials(this.clientCredentials)
+    }
+
+    return this.hasRefreshToken()
+      .then(hasRefreshToken => hasRefreshToken
+        ? this.refreshSession()
+        : this.renewSession())
+  }
+
+  /**
+   * Validates an ID Token issued in a refresh token response (issuer,
+   * audience, signature and expiry).
+   *
+   * @private
+   * @param client {RelyingParty}
+   * @param idToken {string} Compact-serialized ID Token
+   * @throws {TokenValidationError}
+   * @return {Promise<object>} Resolves to the ID Token claims
+   */
+  validateRefreshedIdToken (client, idToken) {
+    const response = { rp: client, params: { id_token: idToken } }
+
+    return Promise.resolve(response)
+      .then(AuthenticationResponse.decodeIDToken)
+      .then(AuthenticationResponse.validateIssuer)
+      .then(AuthenticationResponse.validateAudience)
+      .then(AuthenticationResponse.resolveKeys)
+      .then(AuthenticationResponse.verifySignature)
+      .then(AuthenticationResponse.validateExpires)
+      .then(response => response.decoded.payload)
+      .catch(error => {
+        throw errors.fromResponseValidationError(error)
+      })
+  }
+
+  /**
+   * Validates a DPoP-bound JWT access token, issued without an ID Token in a
+   * client credentials token response (issuer, signature, expiry and the
+   * session key it is bound to).
+   *
+   * @private
+   * @param client {RelyingParty}
+   * @param accessToken {string} Compact-serialized access token
+   * @param dpopKey {object} DPoP key the token must be bound to (`cnf.jkt`)
+   * @throws {TokenValidationError}
+   * @return {Promise<object>} Resolves to the access token claims
+   */
+  validateAccessToken (client, accessToken, dpopKey) {
+    let decoded
+
+    try {
+      decoded = JWT.decode(accessToken)
+    } catch (error) {
+      return Promise.reject(new errors.TokenValidationError('Error decoding access token', { cause: error }))
+    }
+
+    const { iss, exp, cnf } = decoded.payload
+
+    if (!isSameIssuer(iss, client.provider.configuration.issuer)) {
+      return Promise.reject(new errors.TokenValidationError('Mismatching issuer in access token'))
+    }
+
+    if (!exp || exp <= Math.floor(Date.now() / 1000)) {
+      return Promise.reject(new errors.TokenValidationError('Expired access token'))
+    }
+
+    return Promise.resolve(client.provider.jwks || client.jwks())
+      .then(jwks => {
+        if (!decoded.resolveKeys(jwks)) {
+          throw new errors.TokenValidationError('Cannot resolve signing key for access token',
+            { code: errors.SIGNING_KEY_NOT_FOUND })
+        }
+
+        return decoded.verify()
+      })
+      .then(verified => {
+        if (!verified) {
+          throw new errors.TokenValidationError('Invalid access token signature')
+        }
+
+        return dpop.jwkThumbprint(dpopKey.publicJwk)
+      })
+      .then(thumbprint => {
+        if (!cnf || cnf.jkt !== thumbprint) {
+          throw new errors.TokenValidationError('Access token is not bound to the session key')
+        }
+
+        return decoded.payload
+      })
+  }
+
+  /**
+   * @param tokens {object} Token response
+   * @return {number|undefined} Access token expiry (ms since epoch), if the
+   *   token response included `expires_in`
+   */
+  expiresAtFrom (tokens) {
+    if (!tokens.expires_in) { return undefined }
+
+    return Date.now() + Number(tokens.expires_in) * 1000
+  }
+
+  /**
+   * Schedules a silent renewal of the current session, shortly before it
+   * expires.
+   */
+  scheduleSessionRenewal () {
+    this.cancelSessionRenewal()
+
+    const expiresAt = this.sessionExpiresAt()
+
+    if (!expiresAt) { return }
+
+    const delay = Math.max(expiresAt - Date.now() - SILENT_RENEW_LEAD_TIME, 0)
+
+    this.renewalTimer = setTimeout(() => {
+      this.renewalTimer = null
+
+      this.extendSession()
+        .catch(error => {
+          this.logger.warn('Silent session renewal failed:', error)
+          this.emitError(error)
+
+          // Keep the session until it actually expires
+          const expiresIn = Math.max(expiresAt - Date.now(), 0)
+          this.renewalTimer = setTimeout(() => {
+            this.renewalTimer = null
+
+            this.expireSession()
+              .catch(error => this.emitError(error))
+          }, expiresIn)
+        })
+    }, delay)
+  }
+
+  cancelSessionRenewal () {
+    if (!this.renewalTimer) { return }
+
+    clearTimeout(this.renewalTimer)
+    this.renewalTimer = null
+  }
+
+  /**
+   * @param client {RelyingParty}
+   * @param [options={}] Login options (see `login()`), for a request
+   * @throws {Error}
+   * @return {Promise<null|string>} Resolves to either an AuthenticationRequest
+   *   being sent (`null`), or to the webId of the current user (extracted
+   *   from the authentication response).
+   */
+  validateOrSendAuthRequest (client, options = {}) {
+    if (!client) {
+      const error = new errors.RegistrationError('Could not load or register a RelyingParty client')
+      return Promise.reject(error)
+    }
+
+    if (this.currentUriHasAuthResponse()) {
+      return this.initUserFromResponse(client)
+    }
+
+    return this.sendAuthRequest(client, options)
+  }
+
+  /**
+   * Issues a PoP token for a resource server. If `session` is the current
+   * session and it has expired, it is refreshed first (when a refresh token
+   * is available).
+   *
+   * @param uri {string} Resource server uri
+   * @param session {Session}
+   * @throws {Error} For a DPoP session (see `createDPoPProof()`)
+   * @return {Promise<string>}
+   */
+  issuePoPTokenFor (uri, session) {
+    return this.activeSession(session)
+      .then(session => {
+        if (session.tokenType === dpop.DPOP_TOKEN_TYPE) {
+          throw new Error('Cannot issue PoPToken for a DPoP session, use createDPoPProof()')
+        }
+
+        if (!session.sessionKeyHandle) {
+          return PoPToken.issueFor(uri, session)
+        }
+
+        return this.loadSessionKey(session.sessionKeyHandle)
+          .then(keyPair => {
+            if (!keyPair) {
+              throw new Error('Cannot issue PoPToken - session key not found')
+            }
+
+            return sessionKeys.issuePoPToken(uri, session, keyPair)
+          })
+      })
+  }
+
+  /**
+   * Creates a DPoP proof for a request to a resource server, to send in its
+   * `DPoP` header, with the session's access token as
+   * `Authorization: DPoP <access token>`. If `session` is the current session
+   * and it has expired, it is refreshed first (when a refresh token is
+   * available).
+   *
+   * @param method {string} Request method
+   * @param uri {string} Request uri
+   * @param [session=this.session] {Session} DPoP session (logged in with the
+   *   `dpop` option)
+   * @throws {Error} If there is no DPoP session
+   * @return {Promise<string>}
+   */
+  createDPoPProof (method, uri, session = this.session) {
+    return this.activeSession(session)
+      .then(session => this.dpopProofFor(method, uri, session))
+  }
+
+  /**
+   * @private
+   * @param method {string}
+   * @param uri {string}
+   * @param session {Session}
+   * @return {Promise<string>}
+   */
+  dpopProofFor (method, uri, session) {
+    if (!session || session.tokenType !== dpop.DPOP_TOKEN_TYPE) {
+      return Promise.reject(new Error('Cannot create DPoP proof - no DPoP session'))
+    }
+
+    return this.loadDPoPKey(session)
+      .then(key => dpop.createProof(key, method, uri, {
+        accessToken: session.authorization.access_token,
+        nonce: this.dpopNonces[new URL(uri).origin]
+      }))
+  }
+
+  /**
+   * Loads a DPoP session's key pair (or that of a session key just created,
+   * see `createSessionKey()`).
+   *
+   * @private
+   * @param session {object} With a `sessionKeyHandle`, or a serialized
+   *   `sessionKey`
+   * @throws {Error} If the key is not found
+   * @return {Promise<{keyPair: CryptoKeyPair, publicJwk: object}>}
+   */
+  loadDPoPKey (session) {
+    if (!session.sessionKeyHandle) {
+      return Promise.resolve()
+        .then(() => sessionKeys.importSessionKey(JSON.parse(session.sessionKey)))
+    }
+
+    return this.loadSessionKey(session.sessionKeyHandle)
+      .then(keyPair => {
+        if (!keyPair) {
+          throw new Error('Cannot create DPoP proof - session key not found')
+        }
+
+        return crypto.subtle.exportKey('jwk', keyPair.publicKey)
+          .then(publicJwk => ({ keyPair, publicJwk }))
+      })
+  }
+
+  /**
+   * Keeps the latest `DPoP-Nonce` a server sent (with any response).
+   *
+   * @private
+   * @param uri {string} Request uri
+   * @param response {Response}
+   * @return {boolean} Whether the response is a nonce challenge: an error
+   *   with a new nonce, to retry the request with
+   */
+  saveDPoPNonce (uri, response) {
+    const nonce = response.headers && response.headers.get('DPoP-Nonce')
+    if (!nonce) { return false }
+
+    const origin = new URL(uri).origin
+    const isNewNonce = nonce !== this.dpopNonces[origin]
+    this.dpopNonces[origin] = nonce
+
+    return isNewNonce && (response.status === 400 || response.status === 401)
+  }
+
+  /**
+   * Resolves to the session to sign with: refreshed first, if it is the
+   * current session and it has expired (when a refresh token is available).
+   *
+   * @private
+   * @param session {Session}
+   * @return {Promise<Session>}
+   */
+  activeSession (session) {
+    if (session !== this.session || !this.isSessionExpired()) {
+      return Promise.resolve(session)
+    }
+
+    return this.hasRefreshToken()
+      .then(hasRefreshToken => hasRefreshToken
+        ? this.refreshSession()
+        : session)
+  }
+
+  /**
+   * Authenticated `fetch()`. When a user is logged in, attaches a PoP token
+   * (bound to the target origin) to the request, or with a DPoP session, the
+   * access token and a DPoP proof. On a 401 response, extends the session and
+   * retries once. Otherwise, the request is passed through unauthenticated.
+   *
+   * @param input {string|URL|Request}
+   * @param [init={}] {object} Same as the `fetch()` init options
+   * @return {Promise<Response>}
+   */
+  fetch (input, init = {}) {
+    if (!this.session) {
+      return this.fetchImpl(input, init)
+    }
+
+    const url = requestUrlOf(input)
+    const retryInput = retryableInput(input)
+
+    return this.fetchWithPoPToken(url, input, init)
+      .then(response => {
+        if (response.status !== 401) { return response }
+
+        return this.extendSession()
+          .then(() => this.fetchWithPoPToken(url, retryInput, init),
+            () => response)
+      })
+  }
+
+  /**
+   * Authenticated `fetch()` as a given logged in user, not necessarily the
+   * current one. Only the current user's session is extended on a 401
+   * response.
+   *
+   * @param webId {string}
+   * @param input {string|URL|Request}
+   * @param [init={}] {object}
+   * @throws {Error} If there is no saved session for the WebID
+   * @return {Promise<Response>}
+   */
+  fetchAs (webId, input, init = {}) {
+    if (webId === this.webId) {
+      return this.fetch(input, init)
+    }
+
+    return this.loadSavedSession(webId)
+      .then(saved => {
+        if (!saved) {
+          throw new Error(`No saved session for WebID ${webId}`)
+        }
+
+        const session = sessionFromSaved(saved.session)
+
+        return this.fetchWithPoPToken(requestUrlOf(input), input, init, session)
+      })
+  }
+
+  /**
+   * @private
+   * @param url {string} Request url
+   * @param input {string|URL|Request}
+   * @param init {object}
+   * @param [session=this.session] {Session}
+   * @return {Promise<Response>}
+   */
+  fetchWithPoPToken (url, input, init, session = this.session) {
+    if (session.tokenType === dpop.DPOP_TOKEN_TYPE) {
+      return this.fetchWithDPoP(url, input, init, session)
+    }
+
+    return this.issuePoPTokenFor(url, session)
+      .then(token => {
+        const headers = new global.Headers(init.headers || input.headers)
+        headers.set('Authorization', `Bearer ${token}`)
+
+        return this.fetchImpl(input, Object.assign({}, init, { headers }))
+      })
+  }
+
+  /**
+   * Sends a request with a DPoP proof and the session's (DPoP-bound) access
+   * token, retrying once if the server asks for a new nonce.
+   *
+   * @private
+   * @param url {string} Request url
+   * @param input {string|URL|Request}
+   * @param init {object}
+   * @param session {Session}
+   * @param [isRetry=false] {boolean}
+   * @return {Promise<Response>}
+   */
+  fetchWithDPoP (url, input, init, session, isRetry = false) {
+    const method = init.method || input.method || 'GET'
+    const retryInput = isRetry ? input : retryableInput(input)
+
+    return this.activeSession(session)
+      .then(activeSession => {
+        session = activeSession
+
+        return this.dpopProofFor(method, url, session)
+      })
+      .then(proof => {
+        const headers = new global.Headers(init.headers || input.headers)
+        headers.set('Authorization', `DPoP ${session.authorization.access_token}`)
+        headers.set('DPoP', proof)
+
+        return this.fetchImpl(input, Object.assign({}, init, { headers }))
+      })
+      .then(response => {
+        if (this.saveDPoPNonce(url, response) && !isRetry) {
+          return this.fetchWithDPoP(url, retryInput, init, session, true)
+        }
+
+        return response
+      })
+  }
+
+  /**
+   * Validates the auth response in the current uri (or in the given response
+   * uri, posted back from a login popup), initializes the current user's ID
+   * Token and Access token, and returns the user's WebID
+   *
+   * @param client {RelyingParty}
+   * @param [responseUri] {string} Defaults to the current uri
+   *
+   * @throws {SolidAuthError} An `AuthResponseError` for an error response
+   *   (with its OAuth `error`, e.g. 'login_required') or a failed code
+   *   exchange, a `StateMismatchError` if the response does not match a
+   *   pending request, a `TokenValidationError` if a token is invalid (with
+   *   `code` 'signing_key_not_found' if the provider has rotated its keys,
+   *   when logging in again usually succeeds), or a `WebIdValidationError`
+   *
+   * @returns {Promise<string>} Current user's web id
+   */
+  initUserFromResponse (client, responseUri) {
+    const isCurrentUri = !responseUri
+    responseUri = responseUri || this.currentLocation()
+
+    let session
+    let isRenewal
+    let returnTo
+
+    return this.validateResponseUnlessError(client, responseUri)
+      .then(response => {
+        session = response
+
+        if (isCurrentUri) {
+          this.clearAuthResponseFromUrl()
+        }
+
+        return this.extractAndValidateWebId(response.idClaims)
+      })
+      .then(webId => {
+        // A response for the user already logged in (and current) is a
+        // silent renewal, or a repeated login
+        isRenewal = webId === this.webId
+
+        if (!isRenewal) {
+          this.cancelSessionRenewal()
+        }
+
+        this.currentClient = client
+        this.webId = webId
+        this.idToken = session.authorization.id_token
+        this.accessToken = session.authorization.access_token
+        this.session = session
+
+        if (this.silentRenew) {
+          this.scheduleSessionRenewal()
+        }
+
+        const state = this.extractState(responseUri, this.responseUriType())
+
+        return Promise.resolve(state && this.loadStateEntry(state))
+          .then(entry => {
+            returnTo = entry && entry.returnTo
+
+            return Promise.all([
+              session.authorization.refresh_token &&
+                this.saveRefreshToken(webId, session.authorization.refresh_token),
+              this.addRecentProvider(client.provider.url),
+              this.saveSession(),
+              // The request is done with, and its `state` must not be reused
+              state && this.clearAuthRequest(state)
+            ])
+          })
+      })
+      .then(() => {
+        const webId = this.webId
+
+        if (isRenewal) {
+          this.emit('tokenRefreshed', this.session)
+        } else {
+          this.emit('login', webId)
+        }
+        this.broadcastSessionChange(isRenewal ? 'refresh' : 'login')
+
+        if (returnTo) {
+          this.navigateToReturnUri(returnTo)
+        }
+
+        return webId
+      })
+      .catch(error => {
+        if (isCurrentUri) {
+          this.clearAuthResponseFromUrl()
+        }
+        this.logger.error('Could not log in from the auth response:', error)
+        this.emitError(error)
+        throw error
+      })
+  }
+
+  /**
+   * Navigates to the uri a login was asked to return to (see `login()`),
+   * unless it is the current page. The uri is checked to be of the app's
+   * origin again, as it was read back from the store.
+   *
+   * @private
+   * @param returnTo {string}
+   */
+  navigateToReturnUri (returnTo) {
+    const currentUri = this.currentLocation()
+
+    if (!currentUri || returnTo === currentUri) { return }
+
+    if (!this.isTrustedOrigin(new URL(returnTo).origin)) {
+      this.logger.warn('Not returning to a uri of another origin:', returnTo)
+      return
+    }
+
+    this.redirectTo(returnTo)
+  }
+
+  /**
+   * Rejects with the OAuth error of an error response, without validating it
+   * (there are no tokens to validate). Its request is consumed, so that its
+   * `state` cannot be reused.
+   *
+   * @private
+   * @param client {RelyingParty}
+   * @param responseUri {string}
+   * @throws {AuthResponseError} For an error response
+   * @return {Promise<Session>}
+   */
+  validateResponseUnlessError (client, responseUri) {
+    const authError = this.extractAuthError(responseUri)
+
+    if (!authError) {
+      return this.validateResponse(client, responseUri)
+    }
+
+    const state = this.extractState(responseUri, this.responseUriType())
+
+    return Promise.resolve(state && this.clearAuthRequest(state))
+      .then(() => { throw authError })
+  }
+
+  /**
+   * Validates an authentication response uri, exchanging the authorization
+   * code at the provider's token endpoint when using the Authorization Code
+   * flow.
+   *
+   * @param client {RelyingParty}
+   * @param responseUri {string}
+   *
+   * @return {Promise<Session>}
+   */
+  validateResponse (client, responseUri) {
+    return this.loadRequestSession(client, responseUri)
+      .then(requestSession => {
+        if (this.flow === AUTHORIZATION_CODE) {
+          return this.validateCodeResponse(client, responseUri, requestSession)
+        }
+
+        return client.validateResponse(responseUri, requestSession)
+      })
+      .catch(error => {
+        throw errors.fromResponseValidationError(error)
+      })
+      .then(session => this.attachSessionKeyHandle(session, responseUri))
+  }
+
+  /**
+   * Attaches the handle of the (non-extractable) session key generated for
+   * an authentication request to the session validated from its response,
+   * and removes it from the pending request entries.
+   *
+   * @private
+   * @param session {Session}
+   * @param responseUri {string}
+   * @return {Promise<Session>}
+   */
+  attachSessionKeyHandle (session, responseUri) {
+    const state = this.extractState(responseUri, this.responseUriType())
+    if (!state) { return session }
+
+    const key = this.keyForSessionKeyHandle(state)
+
+    return this.store.getItem(key)
+      .then(sessionKeyHandle => {
+        if (!sessionKeyHandle) { return session }
+
+        session.sessionKeyHandle = sessionKeyHandle
+
+        return this.store.removeItem(key)
+          .then(() => session)
+      })
   }
 
   /**
-   * Tests whether the current URI is the result of an AuthenticationRequest
-   * return redirect.
-   * @return {boolean}
+   * Runs the RelyingParty's response validation steps, but exchanges the
+   * authorization code using the stored PKCE code verifier (the RelyingParty
+   * itself only supports code exchange for confidential clients).
+   *
+   * @private
+   * @param client {RelyingParty}
+   * @param responseUri {string}
+   * @param requestSession {object} RelyingParty request entries (see
+   *   `loadRequestSession()`)
+   *
+   * @return {Promise<Session>}
    */
-  currentUriHasAuthResponse () {
-    const currentUri = this.currentLocation()
-    const stateParam = this.extractState(currentUri, HASH)
+  validateCodeResponse (client, responseUri, requestSession) {
+    const response = new AuthenticationResponse({
+      rp: client, redirect: responseUri, session: requestSession
+    })
+
+    return Promise.resolve(response)
+      .then(AuthenticationResponse.parseResponse)
+      .then(AuthenticationResponse.errorResponse)
+      .then(AuthenticationResponse.matchRequest)
+      .then(AuthenticationResponse.validateStateParam)
+      .then(AuthenticationResponse.validateIssParam)
+      .then(AuthenticationResponse.validateResponseMode)
+      .then(AuthenticationResponse.validateResponseParams)
+      .then(response => this.exchangeCode(response))
+      .then(AuthenticationResponse.validateIDToken)
+      .then(response => {
+        const session = Session.fromAuthResponse(response)
+        session.expiresAt = this.expiresAtFrom(response.params)
 
-    return !!stateParam
+        if (response.dpopSessionKey) {
+          session.tokenType = dpop.DPOP_TOKEN_TYPE
+          session.sessionKey = response.dpopSessionKey.sessionKey
+          session.sessionKeyHandle = response.dpopSessionKey.sessionKeyHandle
+        }
+
+        return session
+      })
   }
 
   /**
-   * Redirects the current window to the given uri.
-   * @param uri {string}
+   * Exchanges the authorization code from an authentication response for
+   * tokens, at the provider's token endpoint. With `dpop`, the tokens are
+   * bound to a new session key (set as the response's `dpopSessionKey`).
+   *
+   * @private
+   * @param response {AuthenticationResponse}
+   * @throws {Error}
+   * @return {Promise<AuthenticationResponse>} Response, with the token
+   *   response merged into its params
    */
-  redirectTo (uri) {
-    this.window.location.href = uri
+  exchangeCode (response) {
+    const { rp, params, request } = response
+    const state = params.state
 
-    return false
+    let codeVerifier
+
+    return this.loadCodeVerifier(state)
+      .then(storedCodeVerifier => {
+        codeVerifier = storedCodeVerifier
+
+        if (!codeVerifier) {
+          throw new errors.StateMismatchError('Cannot exchange authorization code, code verifier missing')
+        }
+
+        if (!this.dpop) { return null }
+
+        return this.createSessionKey()
+          .then(sessionKey => {
+            response.dpopSessionKey = sessionKey
+
+            return this.loadDPoPKey(sessionKey)
+          })
+      })
+      .then(dpopKey => {
+        return this.requestTokens(rp, {
+          grant_type: 'authorization_code',
+          code: params.code,
+          redirect_uri: request.redirect_uri,
+          code_verifier: codeVerifier
+        }, 'Error exchanging authorization code', {}, dpopKey)
+      })
+      .then(tokens => this.clearCodeVerifier(state)
+        .then(() => {
+          if (!tokens.access_token || !tokens.id_token) {
+            throw new errors.TokenValidationError('Missing access_token or id_token in token response')
+          }
+
+          response.params = Object.assign(response.params, tokens)
+          return response
+        }))
   }
 
   /**
+   * Sends a token request to the provider's token endpoint, as a public
+   * client (identified by its `client_id` only), unless client
+   * authentication params or headers are given. With a DPoP key, a DPoP
+   * proof is sent with the request (retrying once if the provider asks for a
+   * new nonce), and the issued access token must be DPoP-bound.
+   *
    * @private
    * @param client {RelyingParty}
-   * @throws {Error}
-   * @return {Promise<null>}
+   * @param params {object} Token request params (`grant_type` etc)
+   * @param errorMessage {string} Error message prefix for failed requests
+   * @param [headers={}] {object} Additional request headers
+   * @param [dpopKey] {object} DPoP key (see `loadDPoPKey()`)
+   * @throws {AuthResponseError} With the provider's `error`, if any
+   * @throws {TokenValidationError} If the access token is not DPoP-bound
+   * @return {Promise<object>} Resolves to the token response
    */
-  sendAuthRequest (client) {
-    const options = {}
-    const providerUri = client.provider.url
+  requestTokens (client, params, errorMessage, headers = {}, dpopKey = null) {
+    const tokenEndpoint = client.provider.configuration.token_endpoint
+    const body = new URLSearchParams(Object.assign({
+      client_id: client.registration.client_id
+    }, params))
+
+    const send = isRetry => Promise.resolve(dpopKey &&
+      dpop.createProof(dpopKey, 'POST', tokenEndpoint, {
+        nonce: this.dpopNonces[new URL(tokenEndpoint).origin]
+      }))
+      .then(proof => this.fetchImpl(tokenEndpoint, {
+        method: 'POST',
+        headers: Object.assign({
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }, headers, proof && { DPoP: proof }),
+        body: body.toString()
+      }))
+      .then(tokenResponse => {
+        if (dpopKey && this.saveDPoPNonce(tokenEndpoint, tokenResponse) && !isRetry) {
+          return send(true)
+        }
 
-    return client.createRequest(options, this.store)
-      .then(authUri => {
-        const state = this.extractState(authUri, QUERY)
-        if (!state) {
-          throw new Error('Invalid authentication request uri')
+        if (!tokenResponse.ok) {
+          return errorBodyOf(tokenResponse)
+            .then(body => {
+              const status = tokenResponse.status
+              const message = body.error
+                ? `${errorMessage}: ${status} ${body.error}`
+                : `${errorMessage}: ${status}`
+
+              throw new errors.AuthResponseError(message, {
+                status,
+                error: body.error,
+                errorDescription: body.error_description,
+                errorUri: body.error_uri
+              })
+            })
         }
-        this.saveProviderByState(state, providerUri)
-        if (this.method === REDIRECT) {
-          return this.redirectTo(authUri)
+        return tokenResponse.json()
+      })
+
+    return send(false)
+      .then(tokens => {
+        if (dpopKey && !dpop.isDPoPTokenType(tokens.token_type)) {
+          throw new errors.TokenValidationError(`${errorMessage}: access token is not DPoP-bound`)
         }
+        return tokens
       })
   }
 
   /**
+   * Returns the token request params and headers that authenticate a
+   * statically registered client: a signed client assertion if it has a
+   * private key, otherwise its secret as HTTP Basic credentials.
+   *
+   * @private
    * @param client {RelyingParty}
-   * @throws {Error}
-   * @return {Promise<null|string>} Resolves to either an AuthenticationRequest
-   *   being sent (`null`), or to the webId of the current user (extracted
-   *   from the authentication response).
+   * @param credentials {object}
+   * @param credentials.clientId {string}
+   * @param [credentials.clientSecret] {string}
+   * @param [credentials.privateKey] {object} Private JWK
+   * @return {Promise<{params: object, headers: object}>}
    */
-  validateOrSendAuthRequest (client) {
-    if (!client) {
-      const error = new Error('Could not load or register a RelyingParty client')
-      return Promise.reject(error)
-    }
-
-    if (this.currentUriHasAuthResponse()) {
-      return this.initUserFromResponse(client)
+  clientAuthentication (client, credentials) {
+    const { clientId, clientSecret, privateKey } = credentials
+
+    if (privateKey) {
+      const tokenEndpoint = client.provider.configuration.token_endpoint
+
+      return clientCredentials
+        .createClientAssertion(clientId, tokenEndpoint, privateKey)
+        .then(assertion => ({
+          params: {
+            client_assertion_type: clientCredentials.CLIENT_ASSERTION_TYPE,
+            client_assertion: assertion
+          },
+          headers: {}
+        }))
     }
 
-    return this.sendAuthRequest(client)
-  }
-
-  issuePoPTokenFor (uri, session) {
-    return PoPToken.issueFor(uri, session)
+    return Promise.resolve({
+      params: {},
+      headers: {
+        Authorization: clientCredentials.basicAuthorization(clientId, clientSecret)
+      }
+    })
   }
 
   /**
-   * Validates the auth response in the current uri, initializes the current
-   * user's ID Token and Access token, and returns the user's WebID
-   *
-   * @param client {RelyingParty}
-   *
-   * @throws {Error}
+   * Creates a client for a statically registered client, fetching the
+   * provider configuration and keys with the injected `fetch()` (instead of
+   * registering the client dynamically).
    *
-   * @returns {Promise<string>} Current user's web id
+   * @private
+   * @param providerUri {string}
+   * @param registration {object} Client registration (`client_id` etc)
+   * @param [defaults] {object} Client request defaults
+   * @throws {Error} If the provider configuration or keys cannot be fetched
+   * @return {Promise<RelyingParty>}
    */
-  initUserFromResponse (client) {
-    return client.validateResponse(this.currentLocation(), this.store)
-      .then(response => {
-        this.idToken = response.authorization.id_token
-        this.accessToken = response.authorization.access_token
-        this.session = response
+  discoverClient (providerUri, registration, defaults) {
+    let configuration
 
-        this.clearAuthResponseFromUrl()
+    return this.fetchJson(configurationUriFor(providerUri),
+      'Error fetching openid configuration')
+      .then(json => {
+        configuration = json
+
+        if (!configuration.jwks_uri) {
+          throw new Error('OpenID Configuration is missing jwks_uri')
+        }
 
-        return this.extractAndValidateWebId(response.idClaims.sub)
+        return this.fetchJson(configuration.jwks_uri,
+          'Error resolving provider keys')
       })
+      .then(jwks => RelyingParty.from({
+        provider: { url: providerUri, configuration, jwks },
+        registration,
+        defaults
+      }))
       .catch(error => {
-        this.clearAuthResponseFromUrl()
-        if (error.message === 'Cannot resolve signing key for ID Token.') {
-          console.log('ID Token found, but could not validate. Provider likely has changed their public keys. Please retry login.')
-          return null
-        } else {
-          throw error
+        throw new errors.ProviderDiscoveryError(error.message, { cause: error })
+      })
+  }
+
+  /**
+   * @private
+   * @param uri {string}
+   * @param errorMessage {string} Error message prefix for failed requests
+   * @throws {Error}
+   * @return {Promise<object>}
+   */
+  fetchJson (uri, errorMessage) {
+    return this.fetchImpl(uri, { headers: { Accept: 'application/json' } })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`${errorMessage}: ${response.status}`)
         }
+        return response.json()
       })
   }
 
   /**
-   * @param idToken {IDToken}
+   * Extracts the user's WebID from the ID Token claims (the `webid` claim, or
+   * else the `sub` claim if it is an https URI), and validates it by
+   * dereferencing the WebID profile, which must list the ID Token's issuer
+   * as a `solid:oidcIssuer`.
    *
-   * @throws {Error}
+   * @param idClaims {object} Decoded ID Token claims
    *
-   * @return {string}
+   * @throws {WebIdValidationError} If there is no WebID in the claims, or its
+   *   profile cannot be fetched, or does not list the token issuer
+   *
+   * @return {Promise<string>} Resolves to the validated WebID
    */
-  extractAndValidateWebId (idToken) {
-    const webId = idToken
-    this.webId = webId
-    return webId
+  extractAndValidateWebId (idClaims) {
+    return Promise.resolve()
+      .then(() => {
+        const webId = idClaims.webid ||
+          (isHttpsUri(idClaims.sub) ? idClaims.sub : null)
+
+        if (!webId) {
+          throw new errors.WebIdValidationError('Cannot extract WebID, ID Token has no webid claim and its sub is not an https URI')
+        }
+
+        return webIdProfile.fetchOidcIssuers(webId, this.fetchImpl)
+          .catch(error => {
+            throw new errors.WebIdValidationError(error.message, { cause: error })
+          })
+          .then(issuers => {
+            const issuer = idClaims.iss
+
+            if (!issuers.some(trusted => isSameIssuer(trusted, issuer))) {
+              throw new errors.WebIdValidationError(`WebID ${webId} does not list ${issuer} as its OIDC issuer`)
+            }
+
+            return webId
+          })
+      })
   }
 
   /**
@@ -443,7 +3330,9 @@ class ClientAuthOIDC {
    * the current url's hash fragment.
    */
   clearAuthResponseFromUrl () {
-    const clearedUrl = this.currentLocationNoHash()
+    const clearedUrl = this.responseUriType() === QUERY
+      ? this.currentLocationNoAuthParams()
+      : this.currentLocationNoHash()
 
     this.replaceCurrentUrl(clearedUrl)
   }
@@ -459,6 +3348,23 @@ class ClientAuthOIDC {
     return clearedUrl
   }
 
+  /**
+   * Returns the current location, with the Authorization Code flow response
+   * params removed from its query string.
+   *
+   * @return {string|null}
+   */
+  currentLocationNoAuthParams () {
+    const currentLocation = this.currentLocation()
+    if (!currentLocation) { return null }
+
+    const currentUrl = new URL(currentLocation)
+    AUTH_RESPONSE_QUERY_PARAMS
+      .forEach(param => currentUrl.searchParams.delete(param))
+
+    return currentUrl.toString()
+  }
+
   replaceCurrentUrl (newUrl) {
     const history = this.window.history
 
@@ -470,95 +3376,564 @@ class ClientAuthOIDC {
   /**
    * @param providerUri {string}
    * @param [options={}]
-   * @param [options.redirectUri] {string} Defaults to window.location.href
+   * @param [options.redirectUri] {string} Defaults to the `redirectUri`
+   *   option, or window.location.href
    * @param [options.scope='openid profile'] {string}
    * @throws {TypeError} If providerUri is missing
    * @return {Promise<RelyingParty>} Registered RelyingParty client instance
    */
   registerClient (providerUri, options = {}) {
     return this.registerPublicClient(providerUri, options)
-      .then(registeredClient => {
-        this.storeClient(registeredClient, providerUri)
-        return registeredClient
-      })
+      .then(registeredClient => this.storeClient(registeredClient, providerUri)
+        .then(() => registeredClient))
+  }
+
+  /**
+   * Creates (and stores) a client for a provider from a pre-registered
+   * client registration, or a Client ID Document url, without registering
+   * it dynamically. The provider configuration and keys are discovered.
+   *
+   * @param providerUri {string}
+   * @param staticClient {object|string} Client registration (with a
+   *   `client_id`), or Client ID Document url
+   * @throws {Error} If the registration has no `client_id`
+   * @return {Promise<RelyingParty>}
+   */
+  createStaticClient (providerUri, staticClient) {
+    const configured = typeof staticClient === 'string'
+      ? { client_id: staticClient }
+      : staticClient
+
+    if (!configured.client_id) {
+      const error = new errors.RegistrationError(`Static client for ${providerUri} is missing a client_id`)
+      return Promise.reject(error)
+    }
+
+    const redirectUri = (configured.redirect_uris && configured.redirect_uris[0]) ||
+      this.fixedRedirectUri || this.currentLocation()
+    this.redirectUri = redirectUri
+
+    const registration = this.withPublicClientAuth(Object.assign({
+      redirect_uris: [redirectUri]
+    }, configured))
+
+    const defaults = {
+      authenticate: this.authenticateDefaults(redirectUri, configured.scope)
+    }
+
+    return this.discoverClient(providerUri, registration, defaults)
+      .then(client => this.storeClient(client, providerUri)
+        .then(() => client))
+  }
+
+  /**
+   * Makes a code flow client registration a public client's, which
+   * authenticates to the token endpoint via PKCE only (unless the
+   * registration sets its own `token_endpoint_auth_method`).
+   *
+   * @private
+   * @param registration {object}
+   * @return {object} The registration
+   */
+  withPublicClientAuth (registration) {
+    if (this.flow === AUTHORIZATION_CODE && !registration.token_endpoint_auth_method) {
+      registration.token_endpoint_auth_method = 'none'
+    }
+    return registration
+  }
+
+  /**
+   * @private
+   * @param redirectUri {string}
+   * @param [scope='openid profile'] {string}
+   * @return {object} Authentication request defaults, for the current flow
+   */
+  authenticateDefaults (redirectUri, scope = DEFAULT_SCOPE) {
+    return {
+      redirect_uri: redirectUri,
+      response_type: this.flow === AUTHORIZATION_CODE ? 'code' : 'id_token token',
+      scope
+    }
   }
 
   /**
    * @private
    * @param providerUri {string}
    * @param [options={}]
-   * @param [options.redirectUri] {string} Defaults to window.location.href
+   * @param [options.redirectUri] {string} Defaults to the `redirectUri`
+   *   option, or window.location.href
    * @param [options.scope='openid profile'] {string}
-   * @throws {TypeError} If providerUri is missing
+   * @throws {ProviderDiscoveryError} If the provider configuration or keys
+   *   cannot be fetched
+   * @throws {RegistrationError} If providerUri is missing, or the provider
+   *   rejects the registration
    * @return {Promise<RelyingParty>} Registered RelyingParty client instance
    */
   registerPublicClient (providerUri, options = {}) {
-    console.log('Registering public client...')
+    this.logger.info('Registering public client with', providerUri)
     if (!providerUri) {
-      throw new TypeError('Cannot registerClient auth client, missing providerUri')
+      return Promise.reject(new errors.RegistrationError(
+        'Cannot registerClient auth client, missing providerUri'))
     }
-    const redirectUri = options.redirectUri || this.currentLocation()
+    const redirectUri = options.redirectUri || this.fixedRedirectUri ||
+      this.currentLocation()
     this.redirectUri = redirectUri
-    const registration = {
+    const responseType = this.flow === AUTHORIZATION_CODE
+      ? 'code'
+      : 'id_token token'
+    const grantTypes = this.flow === AUTHORIZATION_CODE
+      ? [AUTHORIZATION_CODE, 'refresh_token']
+      : [IMPLICIT]
+    const registration = this.withPublicClientAuth({
       issuer: providerUri,
-      grant_types: ['implicit'],
+      grant_types: grantTypes,
       redirect_uris: [redirectUri],
-      response_types: ['id_token token'],
-      scope: options.scope || 'openid profile'
-    }
+      post_logout_redirect_uris: [redirectUri],
+      response_types: [responseType],
+      scope: options.scope || DEFAULT_SCOPE
+    })
     const rpOptions = {
       defaults: {
-        authenticate: {
-          redirect_uri: redirectUri,
-          response_type: 'id_token token',
-          scope: options.scope || 'openid profile'
-        }
-      },
-      store: this.store
+        authenticate: this.authenticateDefaults(redirectUri, options.scope)
+      }
     }
-    return RelyingParty
-      .register(providerUri, registration, rpOptions)
+    const rp = new RelyingParty({
+      provider: { url: providerUri },
+      defaults: Object.assign({}, rpOptions.defaults)
+    })
+
+    // Discovered first, so that discovery failures (e.g. a mistyped provider
+    // uri) are told apart from the registration itself failing
+    return Promise.resolve()
+      .then(() => rp.discover())
+      .then(() => rp.jwks())
+      .catch(error => {
+        throw new errors.ProviderDiscoveryError(
+          `Could not discover provider ${providerUri}: ${error.message}`, { cause: error })
+      })
+      .then(() => rp.register(registration)
+        .catch(error => {
+          throw new errors.RegistrationError(
+            `Could not register client with ${providerUri}: ${error.message}`, { cause: error })
+        }))
+      .then(() => rp)
   }
 
   onMessage (event) {
-    console.log('Auth client received event: ', event)
     if (!event || !event.data) { return }
+    this.logger.debug('Auth client received event:',
+      { origin: event.origin, data: event.data })
+    if (!this.isTrustedOrigin(event.origin)) {
+      this.logger.warn('onMessage - ignoring event from origin:', event.origin)
+      return
+    }
     switch (event.data.event_type) {
-      case 'providerSelected':
-        // eslint-disable-next-line no-case-declarations
-        const providerUri = event.data.value
-        console.log('Provider selected: ', providerUri)
-        this.login(providerUri)
-        this.selectProviderWindow.close()
+      case 'authResponse':
+        this.onAuthResponse(event.data.value)
         break
       default:
-        console.error('onMessage - unknown event type: ', event)
+        this.logger.warn('onMessage - unknown event type:', event.data.event_type)
         break
     }
   }
 
   /**
+   * Saves the provider of a pending authentication request by its `state`,
+   * along with the time it was sent (the entry expires after
+   * `AUTH_REQUEST_TTL`), the uri to return to after logging in, and whether
+   * it is a silent renewal.
+   *
    * @param state {string}
    * @param providerUri {string}
+   * @param [options={}]
+   * @param [options.returnTo] {string}
+   * @param [options.silent] {boolean}
    * @throws {Error}
+   * @return {Promise}
    */
-  saveProviderByState (state, providerUri) {
+  saveProviderByState (state, providerUri, options = {}) {
     if (!state) {
-      throw new Error('Cannot save providerUri - state not provided')
+      return Promise.reject(new Error('Cannot save providerUri - state not provided'))
     }
     const key = this.keyByState(state)
-    this.store.setItem(key, providerUri)
+    const entry = { providerUri, createdAt: Date.now() }
+    if (options.returnTo) {
+      entry.returnTo = options.returnTo
+    }
+    if (options.silent) {
+      entry.silent = true
+    }
+    return this.store.setItem(key, JSON.stringify(entry))
+  }
+
+  /**
+   * Saves the PKCE code verifier of an Authorization Code flow request, by
+   * the request's `state` param.
+   * @param state {string}
+   * @param codeVerifier {string}
+   * @return {Promise}
+   */
+  saveCodeVerifier (state, codeVerifier) {
+    return this.store.setItem(this.keyForCodeVerifier(state), codeVerifier)
+  }
+
+  /**
+   * @param state {string}
+   * @return {Promise<string|null>}
+   */
+  loadCodeVerifier (state) {
+    return this.store.getItem(this.keyForCodeVerifier(state))
+  }
+
+  /**
+   * @param state {string}
+   * @return {Promise}
+   */
+  clearCodeVerifier (state) {
+    return this.store.removeItem(this.keyForCodeVerifier(state))
+  }
+
+  /**
+   * Saves the current session (WebID, provider, tokens, expiry and session
+   * key) to the store, so that it can be restored after a page reload. The
+   * refresh token is left out, it is kept in the refresh token store.
+   *
+   * @return {Promise}
+   */
+  saveSession () {
+    const session = this.session
+    const webId = this.webId
+
+    const saved = {
+      webId,
+      providerUri: this.currentClient.provider.url,
+      session: {
+        credentialType: session.credentialType,
+        issuer: session.issuer,
+        sessionKey: session.sessionKey,
+        sessionKeyHandle: session.sessionKeyHandle,
+        tokenType: session.tokenType,
+        idClaims: session.idClaims,
+        expiresAt: this.sessionExpiresAt(),
+        authorization: Object.assign({}, session.authorization, {
+          refresh_token: undefined
+        })
+      }
+    }
+
+    return this.loadSavedSession(webId)
+      .then(previous => {
+        const previousHandle = previous && previous.session.sessionKeyHandle
+
+        return Promise.all([
+          this.store.setItem(this.keyForSession(webId), JSON.stringify(saved)),
+          this.store.setItem(CURRENT_SESSION_KEY, webId)
+        ])
+          .then(() => {
+            // The session replaced has a key of its own (e.g. after logging
+            // in again), no longer needed
+            if (previousHandle !== session.sessionKeyHandle) {
+              return this.removeSessionKey(previousHandle)
+            }
+          })
+      })
+      .then(() => this.loadSessionWebIds())
+      .then(webIds => {
+        if (!webIds.includes(webId)) {
+          return this.saveSessionWebIds(webIds.concat(webId))
+        }
+      })
+  }
+
+  /**
+   * @param [webId] {string} Defaults to the current user's
+   * @return {Promise<object|null>} Session saved by `saveSession()`
+   */
+  loadSavedSession (webId) {
+    return Promise.resolve(webId || this.store.getItem(CURRENT_SESSION_KEY))
+      .then(webId => webId && this.store.getItem(this.keyForSession(webId)))
+      .then(saved => saved ? JSON.parse(saved) : null)
+  }
+
+  /**
+   * @param webId {string}
+   * @return {Promise}
+   */
+  clearSavedSession (webId) {
+    return this.loadSavedSession(webId)
+      .then(saved => Promise.all([
+        this.store.removeItem(this.keyForSession(webId)),
+        saved && this.removeSessionKey(saved.session.sessionKeyHandle)
+      ]))
+      .then(() => this.store.getItem(CURRENT_SESSION_KEY))
+      .then(currentWebId => {
+        if (currentWebId === webId) {
+          return this.store.removeItem(CURRENT_SESSION_KEY)
+        }
+      })
+      .then(() => this.loadSessionWebIds())
+      .then(webIds => this.saveSessionWebIds(
+        webIds.filter(savedWebId => savedWebId !== webId)
+      ))
+  }
+
+  /**
+   * @private
+   * @return {Promise<Array<string>>} WebIDs with a saved session
+   */
+  loadSessionWebIds () {
+    return this.store.getItem(SESSIONS_KEY)
+      .then(webIds => {
+        webIds = JSON.parse(webIds)
+        return Array.isArray(webIds) ? webIds : []
+      })
+      .catch(() => [])
+  }
+
+  /**
+   * @private
+   * @param webIds {Array<string>}
+   * @return {Promise}
+   */
+  saveSessionWebIds (webIds) {
+    return this.store.setItem(SESSIONS_KEY, JSON.stringify(webIds))
+  }
+
+  /**
+   * Saves a user's refresh token, in the refresh token store.
+   * @param webId {string}
+   * @param refreshToken {string}
+   * @return {Promise}
+   */
+  saveRefreshToken (webId, refreshToken) {
+    return this.refreshTokenStore
+      .setItem(this.keyForRefreshToken(webId), refreshToken)
+  }
+
+  /**
+   * @param webId {string}
+   * @return {Promise<string|null>}
+   */
+  loadRefreshToken (webId) {
+    return this.refreshTokenStore
+      .getItem(this.keyForRefreshToken(webId))
+  }
+
+  /**
+   * @param webId {string}
+   * @return {Promise}
+   */
+  clearRefreshToken (webId) {
+    return this.refreshTokenStore
+      .removeItem(this.keyForRefreshToken(webId))
+  }
+
+  /**
+   * Returns the most recently used providers, offered first in the Select
+   * Provider popup.
+   *
+   * @return {Promise<Array<string>>} Provider URIs, most recent first
+   */
+  loadRecentProviders () {
+    return this.store.getItem(RECENT_PROVIDERS_KEY)
+      .then(recentProviders => {
+        recentProviders = JSON.parse(recentProviders)
+        return Array.isArray(recentProviders) ? recentProviders : []
+      })
+      .catch(() => [])
+  }
+
+  /**
+   * @param providerUri {string}
+   * @return {Promise}
+   */
+  addRecentProvider (providerUri) {
+    return this.loadRecentProviders()
+      .then(recentProviders => {
+        recentProviders = [providerUri].concat(
+          recentProviders.filter(uri => uri !== providerUri)
+        ).slice(0, MAX_RECENT_PROVIDERS)
+
+        return this.store.setItem(RECENT_PROVIDERS_KEY, JSON.stringify(recentProviders))
+      })
   }
 
   /**
    * Stores a RelyingParty client for a given provider in the local store.
    * @param client {RelyingParty}
    * @param providerUri {string}
+   * @return {Promise}
    */
   storeClient (client, providerUri) {
     this.currentClient = client
-    this.store.setItem(this.keyByProvider(providerUri), client.serialize())
+    return this.store.setItem(this.keyByProvider(providerUri), client.serialize())
+  }
+}
+
+/**
+ * @param uri {string}
+ * @return {boolean}
+ */
+function isHttpsUri (uri) {
+  try {
+    return new URL(uri).protocol === 'https:'
+  } catch (error) {
+    return false
   }
 }
 
+/**
+ * @return {string} Random base64url encoded `state` param
+ */
+function randomState () {
+  return base64url(Buffer.from(crypto.getRandomValues(new Uint8Array(16))))
+}
+
+/**
+ * @param response {Response} Error response
+ * @return {Promise<object>} Resolves to the response's JSON body (e.g. an
+ *   OAuth error), or to an empty object if it has none
+ */
+function errorBodyOf (response) {
+  return Promise.resolve()
+    .then(() => response.json())
+    .then(body => body && typeof body === 'object' ? body : {})
+    .catch(() => ({}))
+}
+
+/**
+ * @param providerUri {string}
+ * @return {string} Uri of the provider's OpenID Configuration
+ */
+function configurationUriFor (providerUri) {
+  const configurationUri = new URL(providerUri)
+  configurationUri.pathname = '.well-known/openid-configuration'
+  return configurationUri.toString()
+}
+
+/**
+ * @param entry {object} Pending authentication request entry (see
+ *   `saveProviderByState()`)
+ * @return {boolean} Whether the request has expired
+ */
+function isExpiredStateEntry (entry) {
+  return !!entry.createdAt && entry.createdAt + AUTH_REQUEST_TTL <= Date.now()
+}
+
+/**
+ * Restores a session saved by `saveSession()`, with the properties the
+ * RelyingParty's `Session` does not keep.
+ *
+ * @param saved {object}
+ * @return {Session}
+ */
+function sessionFromSaved (saved) {
+  const session = Session.from(saved)
+  session.expiresAt = saved.expiresAt
+  session.sessionKeyHandle = saved.sessionKeyHandle
+  session.tokenType = saved.tokenType
+  return session
+}
+
+/**
+ * @param input {string|URL|Request} `fetch()` input
+ * @return {boolean} Whether the input is a `Request` (rather than a url)
+ */
+function isRequest (input) {
+  return !!input && typeof input === 'object' && typeof input.url === 'string'
+}
+
+/**
+ * @param input {string|URL|Request} `fetch()` input
+ * @return {string} Request url
+ */
+function requestUrlOf (input) {
+  return isRequest(input) ? input.url : String(input)
+}
+
+/**
+ * @param input {string|URL|Request} `fetch()` input
+ * @return {string|URL|Request} Input to retry the request with: a copy of a
+ *   `Request`, whose body can only be read once (so it must be copied before
+ *   the request is first sent)
+ */
+function retryableInput (input) {
+  return isRequest(input) && typeof input.clone === 'function'
+    ? input.clone()
+    : input
+}
+
+/**
+ * @param scope {string|Array<string>}
+ * @return {Array<string>} Scope values
+ */
+function scopesOf (scope) {
+  const scopes = Array.isArray(scope) ? scope : scope.split(' ')
+
+  return scopes.filter(value => !!value)
+}
+
+/**
+ * Maps the `login()` options to authentication request params.
+ *
+ * @param options {object} See `login()`
+ * @param isRequestObject {boolean} Whether the params are sent in a request
+ *   object (JWT), where `claims` is a JSON object, rather than in the query
+ *   string
+ * @return {object}
+ */
+function loginRequestParams (options, isRequestObject) {
+  return Object.keys(LOGIN_REQUEST_PARAMS).reduce((params, option) => {
+    let value = options[option]
+
+    if (value === undefined || value === null) { return params }
+
+    if (option === 'scope') {
+      const scopes = scopesOf(value)
+      value = (scopes.includes('openid') ? scopes : ['openid'].concat(scopes)).join(' ')
+    } else if (Array.isArray(value)) {
+      value = value.join(' ')
+    } else if (option === 'claims' && !isRequestObject) {
+      value = JSON.stringify(value)
+    }
+
+    params[LOGIN_REQUEST_PARAMS[option]] = value
+    return params
+  }, {})
+}
+
+/**
+ * Compares two issuer URIs, ignoring a trailing slash.
+ *
+ * @param issuer {string}
+ * @param otherIssuer {string}
+ * @return {boolean}
+ */
+function isSameIssuer (issuer, otherIssuer) {
+  if (!issuer || !otherIssuer) { return false }
+
+  const normalize = uri => uri.replace(/\/$/, '')
+
+  return normalize(issuer) === normalize(otherIssuer)
+}
+
+// Async storage adapters, for the `store` and `refreshTokenStore` options
+ClientAuthOIDC.MemoryStorage = storage.MemoryStorage
+ClientAuthOIDC.WebStorage = storage.WebStorage
+ClientAuthOIDC.IndexedDBStorage = storage.IndexedDBStorage
+
+// Errors of the login and callback paths
+ClientAuthOIDC.SolidAuthError = errors.SolidAuthError
+ClientAuthOIDC.ProviderDiscoveryError = errors.ProviderDiscoveryError
+ClientAuthOIDC.RegistrationError = errors.RegistrationError
+ClientAuthOIDC.AuthResponseError = errors.AuthResponseError
+ClientAuthOIDC.StateMismatchError = errors.StateMismatchError
+ClientAuthOIDC.TokenValidationError = errors.TokenValidationError
+ClientAuthOIDC.WebIdValidationError = errors.WebIdValidationError
+ClientAuthOIDC.PopupError = errors.PopupError
+
+// Session key stores, for the `sessionKeyStore` option
+ClientAuthOIDC.IndexedDBKeyStore = sessionKeys.IndexedDBKeyStore
+ClientAuthOIDC.MemoryKeyStore = sessionKeys.MemoryKeyStore
+
 module.exports = ClientAuthOIDC
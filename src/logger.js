@@ -0,0 +1,127 @@
+'use strict'
+/**
+ * Diagnostics logging of the auth client. Messages are passed to a
+ * `console`-like logger (any object with `debug`, `info`, `warn` and `error`
+ * methods, e.g. an adapter to an app's telemetry), at or above a minimum
+ * level. Nothing is logged without a logger.
+ *
+ * Tokens, codes and `state` values are redacted from everything logged, be
+ * it in uris, in objects or in error messages.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+const DEFAULT_LOG_LEVEL = 'info'
+
+const REDACTED = '[redacted]'
+const MAX_DEPTH = 4
+
+// Params (and object properties) whose values are never logged
+const SENSITIVE_NAMES = [
+  'state', 'code', 'code_verifier', 'session_state', 'nonce',
+  'access_token', 'id_token', 'refresh_token', 'token', 'client_secret',
+  'accessToken', 'idToken', 'refreshToken', 'clientSecret', 'authorization',
+  'privateKey', 'private_key', 'd'
+]
+
+const SENSITIVE_PARAM = new RegExp(
+  `((?:^|[?#&\\s])(?:${SENSITIVE_NAMES.join('|')})=)[^&#\\s]*`, 'g')
+
+// Compact-serialized JWTs (JWS and JWE), whose header starts with '{"'
+const JWT_PATTERN = /eyJ[\w-]*\.[\w-]*\.[\w-]*(\.[\w-]*\.[\w-]*)?/g
+
+/**
+ * Returns a copy of a logged value, with tokens, codes and `state` values
+ * replaced by '[redacted]'.
+ *
+ * @param value {*}
+ * @param [depth=0] {number}
+ * @return {*}
+ */
+function redact (value, depth = 0) {
+  if (typeof value === 'string') {
+    return value
+      .replace(SENSITIVE_PARAM, `$1${REDACTED}`)
+      .replace(JWT_PATTERN, REDACTED)
+  }
+
+  if (value instanceof Error) {
+    return `${value.name}: ${redact(value.message)}`
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[object]'
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1))
+  }
+
+  return Object.keys(value).reduce((redacted, name) => {
+    redacted[name] = SENSITIVE_NAMES.includes(name)
+      ? REDACTED
+      : redact(value[name], depth + 1)
+    return redacted
+  }, {})
+}
+
+class Logger {
+  /**
+   * @param [logger] {object} `console`-like logger. Nothing is logged
+   *   without one
+   * @param [level='info'] {string} Minimum level logged: 'debug', 'info',
+   *   'warn' or 'error'
+   * @throws {TypeError} For an unknown level
+   */
+  constructor (logger, level = DEFAULT_LOG_LEVEL) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new TypeError(`Unknown log level: ${level}`)
+    }
+
+    this.logger = logger || null
+    this.level = level
+  }
+
+  /**
+   * Logs a message and its details (redacted), if the level is enabled.
+   *
+   * @private
+   * @param level {string}
+   * @param args {Array}
+   */
+  log (level, args) {
+    if (!this.isEnabled(level)) { return }
+
+    const log = this.logger[level] || this.logger.log
+
+    if (typeof log !== 'function') { return }
+
+    log.apply(this.logger, args.map(arg => redact(arg)))
+  }
+
+  /**
+   * @param level {string}
+   * @return {boolean} Whether messages of a level are logged
+   */
+  isEnabled (level) {
+    return !!this.logger &&
+      LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level)
+  }
+
+  debug (...args) { this.log('debug', args) }
+
+  info (...args) { this.log('info', args) }
+
+  warn (...args) { this.log('warn', args) }
+
+  error (...args) { this.log('error', args) }
+}
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  redact
+}
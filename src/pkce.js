@@ -0,0 +1,39 @@
+'use strict'
+/**
+ * Proof Key for Code Exchange (PKCE) helpers, used by the Authorization Code
+ * flow.
+ *
+ * @see https://tools.ietf.org/html/rfc7636
+ */
+const { crypto } = require('@solid/jose')
+const base64url = require('base64url')
+
+// Number of random octets in a code verifier (43 chars, base64url encoded)
+const VERIFIER_LENGTH = 32
+
+const CODE_CHALLENGE_METHOD = 'S256'
+
+/**
+ * @return {string} Random base64url encoded code verifier
+ */
+function generateCodeVerifier () {
+  const octets = crypto.getRandomValues(new Uint8Array(VERIFIER_LENGTH))
+
+  return base64url(Buffer.from(octets))
+}
+
+/**
+ * @param verifier {string} Code verifier
+ *
+ * @return {Promise<string>} Resolves to the S256 code challenge for the verifier
+ */
+function codeChallengeFor (verifier) {
+  return crypto.subtle.digest({ name: 'SHA-256' }, Buffer.from(verifier, 'ascii'))
+    .then(digest => base64url(Buffer.from(digest)))
+}
+
+module.exports = {
+  CODE_CHALLENGE_METHOD,
+  codeChallengeFor,
+  generateCodeVerifier
+}
@@ -1,70 +1,165 @@
 'use strict'
+/**
+ * The Select Provider popup window: a button for each suggested (and
+ * recently used) provider, and a field for a custom provider URI.
+ *
+ * The popup is a blank (same-origin) window written by the opener, with no
+ * inline script or style (which an app's Content Security Policy, inherited
+ * by the popup, would block): its event handlers are attached, and its
+ * styles set through the CSSOM, by the opener (see `initProviderSelectPopup()`).
+ * It loads no third-party resources (other than provider icons).
+ */
 
-module.exports = `<!doctype html>
+// Styles of the popup's elements, by selector
+const POPUP_STYLES = {
+  body: { fontFamily: 'sans-serif', fontSize: '14px', margin: '2em', textAlign: 'center', color: '#333' },
+  h1: { fontSize: '1.2em', fontWeight: 'normal' },
+  h2: { fontSize: '1em', fontWeight: 'normal', color: '#777', marginTop: '1.5em' },
+  '.provider': {
+    display: 'block',
+    width: '100%',
+    margin: '0.5em 0',
+    padding: '0.6em',
+    border: '1px solid #7c4dff',
+    borderRadius: '4px',
+    background: '#7c4dff',
+    color: '#fff',
+    fontSize: '1em',
+    cursor: 'pointer'
+  },
+  '.provider img': { width: '1.2em', height: '1.2em', marginRight: '0.5em', verticalAlign: 'middle' },
+  '.custom': { marginTop: '1.5em' },
+  '.custom input': { width: '70%', padding: '0.4em' },
+  '.custom button': { padding: '0.4em 1em' },
+  '.error': { color: '#c62828', minHeight: '1.2em', marginTop: '0.5em' }
+}
+
+/**
+ * Renders the source of the Select Provider popup window.
+ *
+ * @param [options={}]
+ * @param [options.providers=[]] {Array<{name: string, url: string, icon: string}>}
+ *   Suggested providers (`icon` is an optional image url)
+ * @param [options.recentProviders=[]] {Array<string>} Recently used provider
+ *   URIs, listed first
+ *
+ * @return {string} Popup HTML source
+ */
+function renderProviderSelectPopup (options = {}) {
+  const providers = options.providers || []
+  const recentProviders = options.recentProviders || []
+
+  const recentButtons = recentProviders
+    .map(url => renderProviderButton({ name: url, url }))
+    .join('\n')
+
+  const providerButtons = providers
+    .filter(provider => !recentProviders.includes(provider.url))
+    .map(renderProviderButton)
+    .join('\n')
+
+  return `<!doctype html>
 <html lang="en">
 <head>
   <meta charset="utf-8">
   <meta http-equiv="Content-type" content="text/html;charset=utf-8">
-  <link rel="stylesheet" href="https://maxcdn.bootstrapcdn.com/bootstrap/3.3.6/css/bootstrap.min.css" />
-
+  <title>Select your provider</title>
 </head>
 <body>
-<div class="container">
-  <div class="row">
-    <div class="col-xs-12 text-center" style="margin-top: 3em;">
-      Login with:
-    </div>
-  </div>
-  <div class="row">
-    <div class="col-xs-12 text-center" style="padding-top: 2em;">
-      <button type="button" class="btn btn-md btn-primary" id="testProvider">
-        solidtest.space
-      </button>
-    </div>
-  </div>
-  <div class="row">
-    <div class="col-xs-12 text-center" style="padding-top: 2em;">
-      or custom:<br />
-      <input type="text" id="customProviderUri" value="https://" />
-      <button type="button" class="btn btn-md" id="customProvider">Go</button>
-    </div>
+  <h1>Login with:</h1>
+  ${recentButtons ? `<h2>Recently used</h2>\n${recentButtons}` : ''}
+  ${providerButtons}
+  <div class="custom">
+    <label for="customProviderUri">or custom:</label><br />
+    <input type="url" id="customProviderUri" value="https://" />
+    <button type="button" id="customProvider">Go</button>
+    <div class="error" id="customProviderError"></div>
   </div>
-</div>
-<script type="text/javascript">
-  window.addEventListener('load', function () { init() });
-
-  function init () {
-    initEvents()
-  }
+</body>
+</html>
+`
+}
 
-  function initButton(id, action) {
-    document.getElementById(id).addEventListener('click', action)
-  }
+/**
+ * Styles the (written) Select Provider popup document, and attaches its
+ * event handlers: `onSelect` is called with the provider uri of the button
+ * clicked, or with the custom provider uri once it is valid.
+ *
+ * @param document {Document} The popup's document
+ * @param onSelect {Function}
+ */
+function initProviderSelectPopup (document, onSelect) {
+  Object.keys(POPUP_STYLES).forEach(selector => {
+    Array.from(document.querySelectorAll(selector))
+      .forEach(element => Object.assign(element.style, POPUP_STYLES[selector]))
+  })
 
-  function initEvents () {
-    initButton('testProvider',
-      function () { selectProvider('https://solidtest.space') })
-    initButton('customProvider',
-      function () {
-        var defaultValue = 'https://'
-        var customUri = document.getElementById('customProviderUri')
-        if (customUri && customUri.value !== defaultValue) {
-          selectProvider(customUri.value)
-        }
+  Array.from(document.querySelectorAll('[data-provider-url]'))
+    .forEach(button => {
+      button.addEventListener('click', () => {
+        onSelect(button.getAttribute('data-provider-url'))
       })
-  }
+    })
+
+  document.getElementById('customProvider')
+    .addEventListener('click', () => {
+      const customUri = document.getElementById('customProviderUri').value
+      const error = validateProviderUri(customUri)
+
+      document.getElementById('customProviderError').textContent = error || ''
 
-  function selectProvider (providerUri) {
-    console.log('Provider selected: ', providerUri)
-    var message = {
-      event_type: 'providerSelected',
-      value: providerUri
-    }
-    console.log('opener.window.location: ', opener.window.location.href)
+      if (!error) {
+        onSelect(customUri)
+      }
+    })
+}
 
-    opener.postMessage(message, opener.window.location.origin)
+/**
+ * @param uri {string} Custom provider uri
+ * @return {string|undefined} Error message, if the uri is not valid
+ */
+function validateProviderUri (uri) {
+  let url
+  try {
+    url = new URL(uri)
+  } catch (error) {
+    return 'Please enter a valid provider URL'
   }
-</script>
-</body>
-</html>
-`
+  if (url.protocol !== 'https:' && url.hostname !== 'localhost') {
+    return 'The provider URL must start with https://'
+  }
+  if (!url.hostname) {
+    return 'Please enter a valid provider URL'
+  }
+}
+
+/**
+ * @param provider {{name: string, url: string, icon: string}}
+ * @return {string}
+ */
+function renderProviderButton (provider) {
+  const icon = provider.icon
+    ? `<img src="${escapeHtml(provider.icon)}" alt="" />`
+    : ''
+
+  return `  <button type="button" class="provider" data-provider-url="${escapeHtml(provider.url)}">${icon}${escapeHtml(provider.name || provider.url)}</button>`
+}
+
+/**
+ * @param value {string}
+ * @return {string}
+ */
+function escapeHtml (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+module.exports = {
+  renderProviderSelectPopup,
+  initProviderSelectPopup,
+  validateProviderUri
+}
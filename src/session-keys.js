@@ -0,0 +1,199 @@
+'use strict'
+/**
+ * Session keys, with which PoP tokens are signed, generated as
+ * non-extractable WebCrypto keys: the private key can be used to sign, but
+ * not read (and so not exfiltrated by a script that reads the store). Key
+ * pairs are kept in a key store (IndexedDB in browsers, which can hold
+ * `CryptoKey` objects), under a random handle that is saved with the
+ * session instead of the key itself.
+ */
+const { crypto, JWT } = require('@solid/jose')
+const PoPToken = require('@solid/oidc-rp/src/PoPToken')
+const { IndexedDBStorage } = require('./storage')
+
+const SESSION_KEY_ALG = 'RS256'
+
+// Key generation (and import) params, by JWA alg: RS256 for PoP tokens,
+// ES256 for DPoP proofs
+const SESSION_KEY_ALGORITHMS = {
+  RS256: {
+    name: 'RSASSA-PKCS1-v1_5',
+    modulusLength: 2048,
+    publicExponent: new Uint8Array([0x01, 0x00, 0x01]),
+    hash: { name: 'SHA-256' }
+  },
+  ES256: {
+    name: 'ECDSA',
+    namedCurve: 'P-256'
+  }
+}
+
+const KEYS_INDEXEDDB_NAME = 'solid-auth-oidc-keys'
+
+/**
+ * Keeps session key pairs in an IndexedDB object store (of a database of its
+ * own, by default), by handle.
+ */
+class IndexedDBKeyStore extends IndexedDBStorage {
+  /**
+   * @param [options={}] See `IndexedDBStorage`
+   * @param [options.name='solid-auth-oidc-keys'] {string} Database name
+   */
+  constructor (options = {}) {
+    super(Object.assign({ name: KEYS_INDEXEDDB_NAME }, options))
+  }
+
+  /**
+   * @param handle {string}
+   * @param keyPair {CryptoKeyPair}
+   * @return {Promise}
+   */
+  saveKey (handle, keyPair) {
+    return this.request('readwrite', store => store.put(keyPair, handle))
+      .then(() => {})
+  }
+
+  /**
+   * @param handle {string}
+   * @return {Promise<CryptoKeyPair|null>}
+   */
+  loadKey (handle) {
+    return this.request('readonly', store => store.get(handle))
+      .then(keyPair => keyPair || null)
+  }
+
+  /**
+   * @param handle {string}
+   * @return {Promise}
+   */
+  removeKey (handle) {
+    return this.removeItem(handle)
+  }
+}
+
+/**
+ * Keeps session key pairs in memory, so they (and the sessions using them)
+ * do not outlive the page or process.
+ */
+class MemoryKeyStore {
+  constructor () {
+    this.keys = new Map()
+  }
+
+  /**
+   * @param handle {string}
+   * @param keyPair {CryptoKeyPair}
+   * @return {Promise}
+   */
+  saveKey (handle, keyPair) {
+    this.keys.set(handle, keyPair)
+    return Promise.resolve()
+  }
+
+  /**
+   * @param handle {string}
+   * @return {Promise<CryptoKeyPair|null>}
+   */
+  loadKey (handle) {
+    return Promise.resolve(this.keys.get(handle) || null)
+  }
+
+  /**
+   * @param handle {string}
+   * @return {Promise}
+   */
+  removeKey (handle) {
+    this.keys.delete(handle)
+    return Promise.resolve()
+  }
+}
+
+/**
+ * Generates a session key pair, with a non-extractable private key (unless
+ * it is to be serialized, where there is no key store).
+ *
+ * @param [alg='RS256'] {string} 'RS256' or 'ES256'
+ * @param [extractable=false] {boolean}
+ * @return {Promise<{keyPair: CryptoKeyPair, publicJwk: object}>}
+ */
+function generateSessionKeyPair (alg = SESSION_KEY_ALG, extractable = false) {
+  return crypto.subtle.generateKey(SESSION_KEY_ALGORITHMS[alg], extractable, ['sign', 'verify'])
+    .then(keyPair => crypto.subtle.exportKey('jwk', keyPair.publicKey)
+      .then(publicJwk => ({ keyPair, publicJwk })))
+}
+
+/**
+ * Imports a serialized (ES256) session key, for signing.
+ *
+ * @param privateJwk {object}
+ * @return {Promise<{keyPair: {privateKey: CryptoKey}, publicJwk: object}>}
+ */
+function importSessionKey (privateJwk) {
+  const { kty, crv, x, y } = privateJwk
+
+  return crypto.subtle.importKey('jwk', privateJwk, SESSION_KEY_ALGORITHMS.ES256,
+    false, ['sign'])
+    .then(privateKey => ({
+      keyPair: { privateKey },
+      publicJwk: { kty, crv, x, y }
+    }))
+}
+
+/**
+ * Replaces the session (public) key in an authentication request uri, the
+ * `key` param (in the query string, or in the `request` object if the
+ * provider supports request objects).
+ *
+ * @param authUri {string}
+ * @param publicJwk {object}
+ * @return {Promise<string>}
+ */
+function replaceRequestKey (authUri, publicJwk) {
+  const url = new URL(authUri)
+  const request = url.searchParams.get('request')
+
+  if (!request) {
+    url.searchParams.set('key', JSON.stringify(publicJwk))
+    return Promise.resolve(url.toString())
+  }
+
+  const payload = Object.assign({}, JWT.decode(request).payload, { key: publicJwk })
+
+  return new JWT({ header: { alg: 'none' }, payload }, { filter: false })
+    .encode()
+    .then(encodedRequest => {
+      url.searchParams.set('request', encodedRequest)
+      return url.toString()
+    })
+}
+
+/**
+ * Issues a PoP token for a resource server, signed with a session key pair's
+ * (non-extractable) private key.
+ *
+ * @param uri {string} Resource server uri
+ * @param session {Session}
+ * @param keyPair {CryptoKeyPair}
+ * @return {Promise<string>}
+ */
+function issuePoPToken (uri, session, keyPair) {
+  if (!session.authorization.id_token) {
+    return Promise.reject(new Error('Cannot issue PoPToken - missing id token'))
+  }
+
+  return PoPToken.issue({
+    aud: new URL(uri).origin,
+    key: { alg: SESSION_KEY_ALG, cryptoKey: keyPair.privateKey },
+    iss: session.authorization.client_id,
+    id_token: session.authorization.id_token
+  }).encode()
+}
+
+module.exports = {
+  IndexedDBKeyStore,
+  MemoryKeyStore,
+  generateSessionKeyPair,
+  importSessionKey,
+  replaceRequestKey,
+  issuePoPToken
+}
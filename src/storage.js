@@ -0,0 +1,254 @@
+'use strict'
+/**
+ * Async storage adapters, where the auth client keeps clients, pending
+ * requests, sessions and refresh tokens. All adapters have the same
+ * interface, each method returning a Promise:
+ *
+ * - `getItem(key)` - resolves to the stored string, or `null`
+ * - `setItem(key, value)`
+ * - `removeItem(key)`
+ * - `keys()` - resolves to the keys of all the stored items
+ *
+ * Any object with this interface can be passed in as a store. For a Node.js
+ * file store, see `./file-storage`.
+ */
+
+const INDEXEDDB_NAME = 'solid-auth-oidc'
+const INDEXEDDB_STORE_NAME = 'store'
+
+/**
+ * Keeps items in memory, so nothing is persisted across page loads (or
+ * processes). The default where no localStorage is available (such as in
+ * Node.js).
+ */
+class MemoryStorage {
+  constructor () {
+    this.items = new Map()
+  }
+
+  /**
+   * @param key {string}
+   * @return {Promise<string|null>}
+   */
+  getItem (key) {
+    return Promise.resolve(this.items.has(key) ? this.items.get(key) : null)
+  }
+
+  /**
+   * @param key {string}
+   * @param value {string}
+   * @return {Promise}
+   */
+  setItem (key, value) {
+    this.items.set(key, String(value))
+    return Promise.resolve()
+  }
+
+  /**
+   * @param key {string}
+   * @return {Promise}
+   */
+  removeItem (key) {
+    this.items.delete(key)
+    return Promise.resolve()
+  }
+
+  /**
+   * @return {Promise<Array<string>>}
+   */
+  keys () {
+    return Promise.resolve(Array.from(this.items.keys()))
+  }
+}
+
+/**
+ * Wraps a Web Storage object (`localStorage` or `sessionStorage`), or any
+ * other object with their `getItem()`/`setItem()`/`removeItem()` methods
+ * (which may also return Promises). Keys are enumerable if the wrapped store
+ * has the `key()` method and `length` of Web Storage.
+ */
+class WebStorage {
+  /**
+   * @param storage {Storage}
+   */
+  constructor (storage) {
+    this.storage = storage
+  }
+
+  /**
+   * @param key {string}
+   * @return {Promise<string|null>}
+   */
+  getItem (key) {
+    return Promise.resolve()
+      .then(() => this.storage.getItem(key))
+      .then(value => value === undefined ? null : value)
+  }
+
+  /**
+   * @param key {string}
+   * @param value {string}
+   * @return {Promise}
+   */
+  setItem (key, value) {
+    return Promise.resolve()
+      .then(() => this.storage.setItem(key, value))
+  }
+
+  /**
+   * @param key {string}
+   * @return {Promise}
+   */
+  removeItem (key) {
+    return Promise.resolve()
+      .then(() => this.storage.removeItem(key))
+  }
+
+  /**
+   * @return {Promise<Array<string>>}
+   */
+  keys () {
+    const storage = this.storage
+    const keys = []
+
+    if (typeof storage.key === 'function') {
+      for (let i = 0; i < storage.length; i++) {
+        keys.push(storage.key(i))
+      }
+    }
+
+    return Promise.resolve(keys)
+  }
+}
+
+/**
+ * Keeps items in an IndexedDB object store, out of reach of scripts that
+ * only read `localStorage`. The database is opened on first use.
+ */
+class IndexedDBStorage {
+  /**
+   * @param [options={}]
+   * @param [options.name='solid-auth-oidc'] {string} Database name
+   * @param [options.storeName='store'] {string} Object store name
+   * @param [options.indexedDB=indexedDB] Optionally inject the IndexedDB
+   *   factory
+   */
+  constructor (options = {}) {
+    this.name = options.name || INDEXEDDB_NAME
+    this.storeName = options.storeName || INDEXEDDB_STORE_NAME
+    this.indexedDB = options.indexedDB || global.indexedDB
+    this.db = null
+  }
+
+  /**
+   * @private
+   * @return {Promise<IDBDatabase>}
+   */
+  open () {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (!this.indexedDB) {
+          throw new Error('IndexedDB is not available')
+        }
+
+        const request = this.indexedDB.open(this.name, 1)
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName)
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+
+    return this.db
+  }
+
+  /**
+   * Runs a request on the object store, in a transaction of its own. Resolves
+   * once the transaction completes (writes are only durable once committed,
+   * and may still be aborted after the request succeeded, e.g. when the
+   * storage quota is exceeded).
+   *
+   * @private
+   * @param mode {string} 'readonly' or 'readwrite'
+   * @param operation {Function} Called with the object store, returns the
+   *   IDBRequest
+   * @return {Promise} Resolves to the request's result
+   */
+  request (mode, operation) {
+    return this.open()
+      .then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(this.storeName, mode)
+        const request = operation(transaction.objectStore(this.storeName))
+        const fail = () => reject(transaction.error || request.error)
+
+        transaction.oncomplete = () => resolve(request.result)
+        transaction.onabort = fail
+        transaction.onerror = fail
+      }))
+  }
+
+  /**
+   * @param key {string}
+   * @return {Promise<string|null>}
+   */
+  getItem (key) {
+    return this.request('readonly', store => store.get(key))
+      .then(value => value === undefined ? null : value)
+  }
+
+  /**
+   * @param key {string}
+   * @param value {string}
+   * @return {Promise}
+   */
+  setItem (key, value) {
+    return this.request('readwrite', store => store.put(String(value), key))
+      .then(() => {})
+  }
+
+  /**
+   * @param key {string}
+   * @return {Promise}
+   */
+  removeItem (key) {
+    return this.request('readwrite', store => store.delete(key))
+      .then(() => {})
+  }
+
+  /**
+   * @return {Promise<Array<string>>}
+   */
+  keys () {
+    return this.request('readonly', store => store.getAllKeys())
+      .then(keys => keys.map(String))
+  }
+}
+
+/**
+ * Returns an async storage adapter for a store: the store itself if it
+ * already is one (has a `keys()` method), a `WebStorage` wrapper around a
+ * `localStorage`-like store, or a new `MemoryStorage` if there is no store.
+ *
+ * @param [store] {object}
+ * @return {object} Async storage adapter
+ */
+function from (store) {
+  if (!store) {
+    return new MemoryStorage()
+  }
+
+  if (typeof store.keys === 'function') {
+    return store
+  }
+
+  return new WebStorage(store)
+}
+
+module.exports = {
+  MemoryStorage,
+  WebStorage,
+  IndexedDBStorage,
+  from
+}
@@ -0,0 +1,211 @@
+'use strict'
+/**
+ * Fetches WebID profile documents and extracts the OIDC issuers
+ * (`solid:oidcIssuer`) trusted to authenticate the WebID.
+ *
+ * Profiles are parsed as Turtle, or as JSON-LD when served as
+ * `application/ld+json`. JSON-LD support is limited to what profiles use in
+ * practice: inline contexts (prefixes and term definitions), `@graph` and
+ * expanded or compact IRIs. Remote contexts are not fetched.
+ */
+const { Parser } = require('n3')
+
+const SOLID_TERMS = 'http://www.w3.org/ns/solid/terms#'
+const OIDC_ISSUER = `${SOLID_TERMS}oidcIssuer`
+
+const ACCEPT = 'text/turtle, application/ld+json;q=0.9'
+
+/**
+ * Dereferences a WebID and returns the OIDC issuers listed in its profile.
+ *
+ * @param webId {string}
+ * @param fetch {Function} fetch() implementation
+ *
+ * @throws {Error} If the profile cannot be fetched or parsed
+ *
+ * @return {Promise<Array<string>>} Issuer URIs
+ */
+function fetchOidcIssuers (webId, fetch) {
+  return fetch(webId, { headers: { Accept: ACCEPT } })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Error fetching WebID profile ${webId}: ${response.status}`)
+      }
+
+      const contentType = response.headers.get('content-type') || ''
+
+      return response.text()
+        .then(body => parseOidcIssuers(webId, body, contentType))
+    })
+}
+
+/**
+ * @param webId {string}
+ * @param body {string} Profile document
+ * @param contentType {string} Profile document content type
+ *
+ * @throws {Error} If the profile cannot be parsed
+ *
+ * @return {Array<string>} Issuer URIs
+ */
+function parseOidcIssuers (webId, body, contentType) {
+  const baseUri = webId.split('#')[0]
+
+  if (contentType.includes('json')) {
+    return issuersFromJsonLd(webId, JSON.parse(body), baseUri)
+  }
+
+  return issuersFromTurtle(webId, body, baseUri)
+}
+
+/**
+ * @param webId {string}
+ * @param body {string}
+ * @param baseUri {string}
+ * @return {Array<string>}
+ */
+function issuersFromTurtle (webId, body, baseUri) {
+  const quads = new Parser({ baseIRI: baseUri }).parse(body)
+
+  return quads
+    .filter(quad => quad.subject.value === webId &&
+      quad.predicate.value === OIDC_ISSUER)
+    .map(quad => quad.object.value)
+}
+
+/**
+ * @param webId {string}
+ * @param document {object|Array}
+ * @param baseUri {string}
+ * @return {Array<string>}
+ */
+function issuersFromJsonLd (webId, document, baseUri) {
+  const issuers = []
+
+  jsonLdNodes(document, {}).forEach(({ node, context }) => {
+    const id = node['@id'] && resolveIri(node['@id'], context, baseUri)
+
+    if (id !== webId) { return }
+
+    Object.keys(node).forEach(key => {
+      if (expandTerm(key, context) !== OIDC_ISSUER) { return }
+
+      toArray(node[key]).forEach(value => {
+        const iri = typeof value === 'string' ? value : value['@id']
+        if (iri) {
+          issuers.push(resolveIri(iri, context, baseUri))
+        }
+      })
+    })
+  })
+
+  return issuers
+}
+
+/**
+ * Flattens a JSON-LD document into its node objects, each with its active
+ * context.
+ *
+ * @param value {*}
+ * @param context {object} Active context (term or prefix -> IRI)
+ * @return {Array<{node: object, context: object}>}
+ */
+function jsonLdNodes (value, context) {
+  if (Array.isArray(value)) {
+    return value.reduce((nodes, item) => nodes.concat(jsonLdNodes(item, context)), [])
+  }
+
+  if (!value || typeof value !== 'object') { return [] }
+
+  const activeContext = value['@context']
+    ? mergeContext(context, value['@context'])
+    : context
+
+  let nodes = [{ node: value, context: activeContext }]
+
+  Object.keys(value).forEach(key => {
+    if (key === '@context') { return }
+    nodes = nodes.concat(jsonLdNodes(value[key], activeContext))
+  })
+
+  return nodes
+}
+
+/**
+ * @param context {object}
+ * @param localContext {object|Array|string}
+ * @return {object}
+ */
+function mergeContext (context, localContext) {
+  const merged = Object.assign({}, context)
+
+  toArray(localContext).forEach(definitions => {
+    // Remote contexts are not fetched
+    if (!definitions || typeof definitions !== 'object') { return }
+
+    Object.keys(definitions).forEach(term => {
+      const definition = definitions[term]
+      const iri = typeof definition === 'string'
+        ? definition
+        : definition && definition['@id']
+
+      if (iri) {
+        merged[term] = iri
+      }
+    })
+  })
+
+  return merged
+}
+
+/**
+ * Expands a JSON-LD term, compact IRI (`prefix:suffix`) or absolute IRI.
+ *
+ * @param term {string}
+ * @param context {object}
+ * @return {string}
+ */
+function expandTerm (term, context) {
+  if (context[term]) {
+    return expandTerm(context[term], Object.assign({}, context, { [term]: null }))
+  }
+
+  const separator = term.indexOf(':')
+
+  if (separator > 0) {
+    const prefix = term.slice(0, separator)
+    const suffix = term.slice(separator + 1)
+
+    if (context[prefix] && !suffix.startsWith('//')) {
+      return context[prefix] + suffix
+    }
+  }
+
+  return term
+}
+
+/**
+ * Expands an IRI, and resolves it against the base uri if relative.
+ *
+ * @param iri {string}
+ * @param context {object}
+ * @param baseUri {string}
+ * @return {string}
+ */
+function resolveIri (iri, context, baseUri) {
+  const expanded = expandTerm(iri, context)
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(expanded)) { return expanded }
+
+  return new URL(expanded, baseUri).toString()
+}
+
+function toArray (value) {
+  return Array.isArray(value) ? value : [value]
+}
+
+module.exports = {
+  OIDC_ISSUER,
+  fetchOidcIssuers,
+  parseOidcIssuers
+}
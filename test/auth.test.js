@@ -1,5 +1,5 @@
 'use strict'
-/* global describe, it, beforeEach, before, after */
+/* global describe, it, beforeEach, afterEach, before, after */
 
 global.URL = require('whatwg-url').URL
 global.URLSearchParams = require('whatwg-url').URLSearchParams
@@ -17,8 +17,118 @@ chai.should()
 
 const expect = chai.expect
 
+// Skips the WebID profile validation, for tests of the login paths around it
+function skipWebIdValidation (auth) {
+  auth.extractAndValidateWebId = idClaims => Promise.resolve(idClaims.sub)
+}
+
+// A fetch() stub serving a WebID profile that lists an OIDC issuer
+function webIdProfileFetch (webId, issuer) {
+  const profile = `<${webId}> <http://www.w3.org/ns/solid/terms#oidcIssuer> <${issuer}> .`
+
+  return sinon.stub().resolves({
+    ok: true,
+    headers: { get: () => 'text/turtle' },
+    text: () => Promise.resolve(profile)
+  })
+}
+
+// A fetch() response with a JSON body, and the given headers (by lowercase
+// name)
+function httpResponse (status, body = {}, headers = {}) {
+  const allHeaders = Object.assign({ 'content-type': 'application/json' }, headers)
+
+  return {
+    ok: status < 400,
+    status,
+    headers: { get: name => allHeaders[name.toLowerCase()] || null },
+    json: () => Promise.resolve(body)
+  }
+}
+
+// A session, as the RelyingParty resolves a validated auth response to.
+// `options.authorization` is merged into the default tokens
+function sessionResponse (issuer, webId, options = {}) {
+  const { expiresIn = 3600, sessionKey = 'session.key' } = options
+
+  return {
+    credentialType: 'access_token',
+    issuer,
+    sessionKey,
+    idClaims: { sub: webId, exp: Math.floor(Date.now() / 1000) + expiresIn },
+    authorization: Object.assign(
+      { id_token: 'id.token', access_token: 'access.token' },
+      options.authorization)
+  }
+}
+
+// A RelyingParty stub that validates auth responses to the given sessions,
+// in turn (and to the last one after that)
+function sessionClient (issuer, ...sessions) {
+  const validateResponse = sinon.stub().resolves(sessions[sessions.length - 1])
+  sessions.forEach((session, index) => {
+    validateResponse.onCall(index).resolves(session)
+  })
+
+  return {
+    provider: { url: issuer, configuration: { issuer } },
+    validateResponse
+  }
+}
+
+// An Authorization Code flow response (validated by the RelyingParty), as
+// `exchangeCode()` takes it
+function codeResponse (tokenEndpoint, state) {
+  return {
+    rp: {
+      provider: { configuration: { token_endpoint: tokenEndpoint } },
+      registration: { client_id: 'client123' }
+    },
+    params: { code: 'code123', state },
+    request: { redirect_uri: 'https://rp.com/callback' }
+  }
+}
+
+// The document of a Select Provider popup, with a button for a provider
+// (`providerButton.click()` clicks it)
+function selectProviderDocument (providerUri) {
+  const providerButton = {
+    style: {},
+    getAttribute: () => providerUri,
+    addEventListener: (type, listener) => { providerButton.click = listener }
+  }
+
+  return {
+    write: sinon.stub(),
+    close: sinon.stub(),
+    querySelectorAll: selector => selector === '[data-provider-url]' ? [providerButton] : [],
+    getElementById: () => ({ style: {}, addEventListener: sinon.stub() }),
+    providerButton
+  }
+}
+
+// Stubs the RelyingParty's discovery and registration requests, see
+// `restoreRegistration()`
+function stubRegistration () {
+  sinon.stub(RelyingParty.prototype, 'discover').resolves({})
+  sinon.stub(RelyingParty.prototype, 'jwks').resolves({})
+  sinon.stub(RelyingParty.prototype, 'register').resolves({})
+}
+
+function restoreRegistration () {
+  ['discover', 'jwks', 'register'].forEach(method => {
+    if (RelyingParty.prototype[method].restore) {
+      RelyingParty.prototype[method].restore()
+    }
+  })
+}
+
 const SolidAuthOIDC = require('../src/index')
+const RelyingParty = require('@solid/oidc-rp')
+const AuthenticationRequest = require('@solid/oidc-rp/src/AuthenticationRequest')
 const PoPToken = require('@solid/oidc-rp/src/PoPToken')
+const { JWK, JWT } = require('@solid/jose')
+const dpop = require('../src/dpop')
 
 describe('SolidAuthOIDC', () => {
   var auth
@@ -70,39 +180,273 @@ describe('SolidAuthOIDC', () => {
           expect(validateStub).to.have.been.calledWith(mockClient)
         })
     })
+
+    it('should save the uri to return to with the request', () => {
+      const state = 'abcd'
+      auth.window.location.href = 'https://app.example.com/callback'
+      sinon.stub(auth, 'loadOrRegisterClient').resolves({
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        createRequest: sinon.stub()
+          .resolves(`https://provider.example.com/authorize?state=${state}`)
+      })
+
+      return auth.login(providerUri, { returnTo: '/notes/1?view=full' })
+        .then(() => auth.loadStateEntry(state))
+        .then(entry => {
+          expect(entry.providerUri).to.equal(providerUri)
+          expect(entry.returnTo).to.equal('https://app.example.com/notes/1?view=full')
+        })
+    })
+
+    it('should register a client again for a scope it was not registered for', () => {
+      const client = {
+        provider: { url: providerUri },
+        registration: {
+          scope: 'openid profile',
+          redirect_uris: ['https://app.example.com/callback']
+        }
+      }
+      const widenedClient = { provider: { url: providerUri } }
+      sinon.stub(auth, 'loadOrRegisterClient').resolves(client)
+      sinon.stub(auth, 'registerClient').resolves(widenedClient)
+      const validateStub = sinon.stub(auth, 'validateOrSendAuthRequest')
+      const options = { scope: 'openid webid offline_access' }
+
+      return auth.login(providerUri, options)
+        .then(() => {
+          expect(auth.registerClient).to.have.been.calledWith(providerUri, {
+            redirectUri: 'https://app.example.com/callback',
+            scope: 'openid profile webid offline_access'
+          })
+          expect(validateStub).to.have.been.calledWith(widenedClient, options)
+        })
+    })
+
+    it('should not register a client again for a registered scope', () => {
+      const client = {
+        provider: { url: providerUri },
+        registration: { scope: 'openid webid offline_access' }
+      }
+      sinon.stub(auth, 'loadOrRegisterClient').resolves(client)
+      sinon.stub(auth, 'registerClient')
+      const validateStub = sinon.stub(auth, 'validateOrSendAuthRequest')
+
+      return auth.login(providerUri, { scope: ['webid', 'offline_access'] })
+        .then(() => {
+          expect(auth.registerClient).to.not.have.been.called()
+          expect(validateStub).to.have.been.calledWith(client)
+        })
+    })
+
+    it('should reject a uri to return to of another origin', () => {
+      auth.window.location.href = 'https://app.example.com/callback'
+      sinon.stub(auth, 'loadOrRegisterClient')
+
+      return expect(auth.login(providerUri, { returnTo: 'https://evil.example.com/' }))
+        .to.be.rejectedWith(TypeError, /Cannot return to https:\/\/evil.example.com/)
+        .then(() => {
+          expect(auth.loadOrRegisterClient).to.not.have.been.called()
+        })
+    })
+  })
+
+  describe('login() with a WebID', () => {
+    const aliceWebId = 'https://alice.example.com/profile/card#me'
+
+    function profileFetch (issuers) {
+      const triples = issuers.map(issuer =>
+        `<${aliceWebId}> <http://www.w3.org/ns/solid/terms#oidcIssuer> <${issuer}> .`)
+
+      return sinon.stub().resolves({
+        ok: true,
+        headers: { get: () => 'text/turtle' },
+        text: () => Promise.resolve(triples.join('\n'))
+      })
+    }
+
+    beforeEach(() => {
+      sinon.stub(auth, 'loadOrRegisterClient').resolves(null)
+    })
+
+    it('should discover the provider from the WebID profile', () => {
+      auth.fetchImpl = profileFetch([providerUri])
+
+      return auth.login({ webId: aliceWebId })
+        .then(() => {
+          expect(auth.fetchImpl).to.have.been.calledWith(aliceWebId)
+          expect(auth.loadOrRegisterClient).to.have.been.calledWith(providerUri)
+        })
+    })
+
+    it('should let the user choose if several issuers are listed', () => {
+      const otherProvider = 'https://other.example.com'
+      const selectIssuer = sinon.stub().resolves(otherProvider)
+      auth = new SolidAuthOIDC({
+        window: { location: {} }, store: localStorage, selectIssuer
+      })
+      sinon.stub(auth, 'loadOrRegisterClient').resolves(null)
+      auth.fetchImpl = profileFetch([providerUri, otherProvider])
+
+      return auth.login({ webId: aliceWebId })
+        .then(() => {
+          expect(selectIssuer).to.have.been.calledWith([providerUri, otherProvider])
+          expect(auth.loadOrRegisterClient).to.have.been.calledWith(otherProvider)
+        })
+    })
+
+    it('should default to offering several issuers in the Select Provider popup', () => {
+      const otherProvider = 'https://other.example.com'
+      sinon.stub(auth, 'providerFromUI')
+      auth.fetchImpl = profileFetch([providerUri, otherProvider])
+
+      return auth.login({ webId: aliceWebId })
+        .then(() => {
+          expect(auth.providerFromUI).to.have.been.calledWith([
+            { name: providerUri, url: providerUri },
+            { name: otherProvider, url: otherProvider }
+          ])
+          expect(auth.loadOrRegisterClient).to.not.have.been.called()
+        })
+    })
+
+    it('should reject if the WebID profile lists no issuers', () => {
+      auth.fetchImpl = profileFetch([])
+
+      return expect(auth.login({ webId: aliceWebId }))
+        .to.be.rejectedWith(SolidAuthOIDC.ProviderDiscoveryError, /does not list any OIDC issuer/)
+    })
   })
 
   describe('logout()', () => {
     it('should clear the current user', () => {
       const clearCurrentUser = sinon.spy(auth, 'clearCurrentUser')
 
-      auth.logout()
-      expect(clearCurrentUser).to.have.been.called()
+      return auth.logout()
+        .then(() => {
+          expect(clearCurrentUser).to.have.been.called()
+        })
     })
 
     it('should not redirect if no current client exists', () => {
       const redirectTo = sinon.spy(auth, 'redirectTo')
 
-      auth.logout()
-      expect(redirectTo).to.not.have.been.called()
+      return auth.logout()
+        .then(() => {
+          expect(redirectTo).to.not.have.been.called()
+        })
     })
 
-    it('should redirect to the provider end session endpoint', () => {
-      auth.window = { location: {} }
+    describe('RP-initiated logout', () => {
+      const aliceWebId = 'https://alice.example.com/'
+      const endSessionEndpoint = 'https://provider.example.com/logout'
+      var client
+
+      beforeEach(() => {
+        client = new RelyingParty({
+          provider: {
+            url: providerUri,
+            configuration: {
+              issuer: providerUri,
+              end_session_endpoint: endSessionEndpoint
+            }
+          },
+          registration: {
+            client_id: 'client123',
+            post_logout_redirect_uris: ['https://rp.com/']
+          }
+        })
+        auth.window = { location: { href: 'https://rp.com/' } }
+        auth.currentClient = client
+        auth.webId = aliceWebId
+        auth.idToken = 'id.token'
+        auth.redirectTo = sinon.stub()
+      })
+
+      it('should redirect to the end session endpoint with the spec params', () => {
+        return auth.logout()
+          .then(() => {
+            const logoutUrl = new URL(auth.redirectTo.firstCall.args[0])
+            expect(logoutUrl.origin + logoutUrl.pathname).to.equal(endSessionEndpoint)
+            expect(logoutUrl.searchParams.get('id_token_hint')).to.equal('id.token')
+            expect(logoutUrl.searchParams.get('post_logout_redirect_uri'))
+              .to.equal('https://rp.com/')
+            expect(logoutUrl.searchParams.get('state'))
+              .to.equal(localStorage.getItem('oidc.rp.logout-state'))
+            expect(logoutUrl.searchParams.get('returnToUrl')).to.not.exist()
+          })
+      })
 
-      const logoutEndpoint = 'https://example.com/logout'
-      auth.providerEndSessionEndpoint = sinon.stub().returns(logoutEndpoint)
+      it('should use a given post logout redirect uri', () => {
+        return auth.logout({ postLogoutRedirectUri: 'https://rp.com/bye' })
+          .then(() => {
+            const logoutUrl = new URL(auth.redirectTo.firstCall.args[0])
+            expect(logoutUrl.searchParams.get('post_logout_redirect_uri'))
+              .to.equal('https://rp.com/bye')
+          })
+      })
 
-      const currentUrl = 'https://rp.com'
-      auth.currentLocation = sinon.stub().returns(currentUrl)
+      it('should only log out locally if asked to', () => {
+        return auth.logout({ localOnly: true })
+          .then(() => {
+            expect(auth.webId).to.not.exist()
+            expect(auth.redirectTo).to.not.have.been.called()
+          })
+      })
 
-      const redirectTo = sinon.spy(auth, 'redirectTo')
+      it("should clear the user's entries from the store", () => {
+        localStorage.setItem(`${providerUri}/requestHistory/abcd`, '{}')
+
+        return Promise.all([
+          auth.storeClient(client, providerUri),
+          auth.saveProviderByState('abcd', providerUri),
+          auth.saveCodeVerifier('abcd', 'verifier'),
+          auth.saveRefreshToken(aliceWebId, 'refresh1')
+        ])
+          .then(() => auth.logout({ localOnly: true }))
+          .then(() => {
+            expect(localStorage.getItem(auth.keyByProvider(providerUri))).to.not.exist()
+            expect(localStorage.getItem(auth.keyByState('abcd'))).to.not.exist()
+            expect(localStorage.getItem(auth.keyForCodeVerifier('abcd'))).to.not.exist()
+            expect(localStorage.getItem(`${providerUri}/requestHistory/abcd`)).to.not.exist()
+            expect(localStorage.getItem(auth.keyForRefreshToken(aliceWebId))).to.not.exist()
+          })
+      })
 
-      auth.logout()
+      it("should keep the client of another logged in user's provider", () => {
+        const bobWebId = 'https://bob.example.com/'
+        auth.session = { authorization: {} }
+        auth.webId = bobWebId
+
+        return auth.storeClient(client, providerUri)
+          .then(() => auth.saveSession())
+          .then(() => {
+            auth.webId = aliceWebId
+
+            return auth.logout({ localOnly: true })
+          })
+          .then(() => {
+            expect(localStorage.getItem(auth.keyByProvider(providerUri))).to.exist()
+          })
+      })
 
-      expect(redirectTo)
-        .to.have.been.calledWith('https://example.com/logout?returnToUrl=' +
-          encodeURIComponent(currentUrl))
+      it('should handle the redirect back after logging out', () => {
+        return auth.logout()
+          .then(() => {
+            const state = localStorage.getItem('oidc.rp.logout-state')
+            auth.window = {
+              location: { href: `https://rp.com/?state=${state}` },
+              history: { replaceState: sinon.stub() }
+            }
+
+            return auth.currentUser()
+          })
+          .then(webId => {
+            expect(webId).to.not.exist()
+            expect(auth.window.history.replaceState.firstCall.args[2])
+              .to.equal('https://rp.com/')
+            expect(localStorage.getItem('oidc.rp.logout-state')).to.not.exist()
+          })
+      })
     })
   })
 
@@ -124,42 +468,144 @@ describe('SolidAuthOIDC', () => {
   describe('providerFromCurrentUri()', () => {
     it('should return null when no state param present', () => {
       auth.window.location.href = 'https://client-app.example.com'
-      const providerUri = auth.providerFromCurrentUri()
 
-      expect(providerUri).to.not.exist()
+      return auth.providerFromCurrentUri()
+        .then(providerUri => {
+          expect(providerUri).to.not.exist()
+        })
     })
 
     it('should return null if no provider was saved', () => {
       const state = 'abcd'
       auth.window.location.href = `https://client-app.example.com#state=${state}`
-      const loadedProviderUri = auth.providerFromCurrentUri()
 
-      expect(loadedProviderUri).to.not.exist()
+      return auth.providerFromCurrentUri()
+        .then(loadedProviderUri => {
+          expect(loadedProviderUri).to.not.exist()
+        })
     })
 
     it('should load provider from current uri state param', () => {
       const providerUri = 'https://provider.example.com'
       const state = 'abcd'
-      auth.saveProviderByState(state, providerUri)
       auth.window.location.href = `https://client-app.example.com#state=${state}`
 
-      const loadedProviderUri = auth.providerFromCurrentUri()
-
-      expect(loadedProviderUri).to.equal(providerUri)
+      return auth.saveProviderByState(state, providerUri)
+        .then(() => auth.providerFromCurrentUri())
+        .then(loadedProviderUri => {
+          expect(loadedProviderUri).to.equal(providerUri)
+        })
     })
   })
 
   describe('provider persistence', () => {
     it('should store and load provider uri, by state', () => {
       const state = 'abcd'
+
       // Check to see that provider doesn't exist initially
-      expect(auth.loadProvider(state)).to.not.exist()
+      return auth.loadProvider(state)
+        .then(loadedProviderUri => {
+          expect(loadedProviderUri).to.not.exist()
+
+          // Save the provider uri to the store
+          return auth.saveProviderByState(state, providerUri)
+        })
+        // Check that it was saved and can be loaded
+        .then(() => auth.loadProvider(state))
+        .then(loadedProviderUri => {
+          expect(loadedProviderUri).to.equal(providerUri)
+        })
+    })
+
+    it('should reject if no state is given', () => {
+      return expect(auth.saveProviderByState(null, providerUri))
+        .to.be.rejectedWith(/state not provided/)
+    })
+
+    it('should not load a provider for an expired request', () => {
+      const clock = sinon.useFakeTimers(Date.now())
+
+      return auth.saveProviderByState('abcd', providerUri)
+        .then(() => {
+          clock.tick(61 * 60 * 1000)
+
+          return auth.loadProvider('abcd')
+        })
+        .then(loadedProviderUri => {
+          expect(loadedProviderUri).to.not.exist()
+        })
+        .finally(() => clock.restore())
+    })
+
+    it('should load a provider saved without a timestamp', () => {
+      localStorage.setItem('oidc.rp.by-state.abcd', providerUri)
+
+      return expect(auth.loadProvider('abcd')).to.eventually.equal(providerUri)
+    })
+  })
+
+  describe('pending request cleanup', () => {
+    const historyKey = state => `${providerUri}/requestHistory/${state}`
+
+    function savePendingRequest (state) {
+      localStorage.setItem(historyKey(state), '{}')
+
+      return Promise.all([
+        auth.saveProviderByState(state, providerUri),
+        auth.saveCodeVerifier(state, 'verifier')
+      ])
+    }
+
+    it('should clear expired requests when sending a new one', () => {
+      const clock = sinon.useFakeTimers(Date.now())
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        createRequest: sinon.stub().resolves(`${providerUri}/authorize?state=new`)
+      }
+      auth.redirectTo = sinon.stub()
+      // saved by an earlier version, without a timestamp
+      localStorage.setItem('oidc.rp.by-state.legacy', providerUri)
+
+      return savePendingRequest('expired')
+        .then(() => {
+          clock.tick(61 * 60 * 1000)
+
+          return savePendingRequest('pending')
+        })
+        .then(() => auth.sendAuthRequest(mockClient))
+        .then(() => {
+          expect(localStorage.getItem('oidc.rp.by-state.expired')).to.not.exist()
+          expect(localStorage.getItem('oidc.rp.code-verifier.expired')).to.not.exist()
+          expect(localStorage.getItem(historyKey('expired'))).to.not.exist()
+          expect(localStorage.getItem('oidc.rp.by-state.legacy')).to.not.exist()
+
+          expect(localStorage.getItem('oidc.rp.by-state.pending')).to.exist()
+          expect(localStorage.getItem('oidc.rp.code-verifier.pending')).to.exist()
+          expect(localStorage.getItem(historyKey('pending'))).to.exist()
+          expect(localStorage.getItem('oidc.rp.by-state.new')).to.exist()
+        })
+        .finally(() => clock.restore())
+    })
+
+    it('should consume the request entries of a successful response', () => {
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        validateResponse: sinon.stub().resolves({
+          authorization: { id_token: 'id.token', access_token: 'access.token' },
+          idClaims: { iss: providerUri, sub: 'https://alice.example.com/' }
+        })
+      }
+      skipWebIdValidation(auth)
 
-      // Save the provider uri to local storage
-      auth.saveProviderByState(state, providerUri)
+      return Promise.all([savePendingRequest('abcd'), savePendingRequest('other')])
+        .then(() => auth.initUserFromResponse(mockClient, 'https://app.example.com/#state=abcd'))
+        .then(() => {
+          expect(localStorage.getItem('oidc.rp.by-state.abcd')).to.not.exist()
+          expect(localStorage.getItem('oidc.rp.code-verifier.abcd')).to.not.exist()
+          expect(localStorage.getItem(historyKey('abcd'))).to.not.exist()
 
-      // Check that it was saved and can be loaded
-      expect(auth.loadProvider(state)).to.equal(providerUri)
+          expect(localStorage.getItem('oidc.rp.by-state.other')).to.exist()
+        })
     })
   })
 
@@ -207,7 +653,7 @@ describe('SolidAuthOIDC', () => {
     })
 
     it('should derive a provider from the current uri', () => {
-      auth.providerFromCurrentUri = sinon.stub().returns(providerUri)
+      auth.providerFromCurrentUri = sinon.stub().resolves(providerUri)
 
       return auth.selectProvider()
         .then(selectedProvider => {
@@ -217,7 +663,7 @@ describe('SolidAuthOIDC', () => {
     })
 
     it('should obtain provider from UI, if not present or cached', () => {
-      auth.providerFromCurrentUri = sinon.stub().returns(null)
+      auth.providerFromCurrentUri = sinon.stub().resolves(null)
       auth.providerFromUI = sinon.stub().resolves(providerUri)
 
       return auth.selectProvider()
@@ -228,10 +674,158 @@ describe('SolidAuthOIDC', () => {
     })
   })
 
+  describe('providerFromUI()', () => {
+    let popup, clock
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers()
+      popup = {
+        closed: false,
+        close: sinon.stub(),
+        focus: sinon.stub(),
+        document: selectProviderDocument(providerUri)
+      }
+      auth.window = {
+        location: { href: 'https://rp.com/' },
+        addEventListener: sinon.stub(),
+        open: sinon.stub().returns(popup)
+      }
+    })
+
+    afterEach(() => {
+      clock.restore()
+    })
+
+    it('should render the configured providers in a popup', () => {
+      auth = new SolidAuthOIDC({
+        window: auth.window,
+        store: localStorage,
+        providers: [{ name: 'Example', url: providerUri }]
+      })
+
+      auth.providerFromUI()
+
+      expect(auth.window.open).to.have.been.called()
+
+      return clock.tickAsync(0)
+        .then(() => {
+          expect(popup.document.write.firstCall.args[0])
+            .to.include(`data-provider-url="${providerUri}">Example</button>`)
+        })
+    })
+
+    it('should list recently used providers', () => {
+      return auth.addRecentProvider('https://recent.example.com')
+        .then(() => {
+          auth.providerFromUI()
+
+          return clock.tickAsync(0)
+        })
+        .then(() => {
+          expect(popup.document.write.firstCall.args[0])
+            .to.include('data-provider-url="https://recent.example.com"')
+        })
+    })
+
+    it('should resolve to the selected provider, and close the popup', () => {
+      const selection = auth.providerFromUI()
+
+      return clock.tickAsync(0)
+        .then(() => {
+          popup.document.providerButton.click()
+
+          return selection
+        })
+        .then(selectedProvider => {
+          expect(selectedProvider).to.equal(providerUri)
+          expect(popup.close).to.have.been.called()
+          expect(auth.pendingProviderSelection).to.not.exist()
+        })
+    })
+
+    it('should focus an already open popup, and share its selection', () => {
+      const selection = auth.providerFromUI()
+
+      expect(auth.providerFromUI()).to.equal(selection)
+      expect(auth.window.open).to.have.been.calledOnce()
+      expect(popup.focus).to.have.been.called()
+    })
+
+    it('should reject if the popup is closed without a selection', () => {
+      const selection = auth.providerFromUI()
+      popup.closed = true
+      clock.tick(1000)
+
+      return expect(selection)
+        .to.be.rejectedWith(SolidAuthOIDC.PopupError, /Select Provider popup window was closed/)
+        .then(() => {
+          expect(auth.pendingProviderSelection).to.not.exist()
+        })
+    })
+
+    it('should reject if the popup could not be opened', () => {
+      auth.window.open = sinon.stub().returns(null)
+
+      return expect(auth.providerFromUI())
+        .to.be.rejectedWith(/Could not open Select Provider popup window/)
+    })
+
+    it('should continue the login() chain with the selected provider', () => {
+      clock.restore()
+      sinon.stub(auth, 'loadOrRegisterClient').resolves(null)
+      auth.providerFromCurrentUri = sinon.stub().resolves(null)
+
+      const login = auth.login()
+
+      return Promise.resolve()
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => {
+          popup.document.providerButton.click()
+
+          return login
+        })
+        .then(() => {
+          expect(auth.loadOrRegisterClient).to.have.been.calledWith(providerUri)
+        })
+    })
+  })
+
+  describe('recent providers', () => {
+    it('should keep the most recently used provider first', () => {
+      return auth.addRecentProvider('https://a.example.com')
+        .then(() => auth.addRecentProvider('https://b.example.com'))
+        .then(() => auth.addRecentProvider('https://a.example.com'))
+        .then(() => auth.loadRecentProviders())
+        .then(recentProviders => {
+          expect(recentProviders)
+            .to.eql(['https://a.example.com', 'https://b.example.com'])
+        })
+    })
+
+    it('should only keep a few recent providers', () => {
+      let added = Promise.resolve()
+      for (let i = 0; i < 10; i++) {
+        added = added.then(() => auth.addRecentProvider(`https://provider${i}.example.com`))
+      }
+
+      return added
+        .then(() => auth.loadRecentProviders())
+        .then(recentProviders => {
+          expect(recentProviders).to.have.length(5)
+        })
+    })
+
+    it('should ignore an unreadable list', () => {
+      localStorage.setItem('oidc.rp.recent-providers', '{not json')
+
+      return expect(auth.loadRecentProviders()).to.eventually.eql([])
+    })
+  })
+
   describe('client persistence', () => {
-    const clientConfig = { provider: { url: providerUri } }
+    const clientConfig = { provider: { url: providerUri, configuration: { issuer: providerUri } } }
     const mockClient = {
-      provider: { url: providerUri },
+      provider: { url: providerUri, configuration: { issuer: providerUri } },
       serialize: () => { return clientConfig }
     }
 
@@ -257,15 +851,172 @@ describe('SolidAuthOIDC', () => {
     })
 
     it('should store and load serialized clients', () => {
-      auth.storeClient(mockClient, providerUri)
-      // Storing a client should cache it in the auth client
-      expect(auth.currentClient).to.equal(mockClient)
+      return auth.storeClient(mockClient, providerUri)
+        .then(() => {
+          // Storing a client should cache it in the auth client
+          expect(auth.currentClient).to.equal(mockClient)
 
-      return auth.loadClient(providerUri)
+          return auth.loadClient(providerUri)
+        })
         .then(loadedClient => {
           expect(loadedClient.provider.url).to.equal(providerUri)
         })
     })
+
+    describe('re-validation', () => {
+      const configuration = {
+        issuer: providerUri,
+        authorization_endpoint: `${providerUri}/authorize`,
+        jwks_uri: `${providerUri}/jwks`
+      }
+      const storedClient = { provider: { url: providerUri, configuration } }
+      const newClient = { provider: { url: providerUri } }
+
+      beforeEach(() => {
+        localStorage.setItem(auth.keyByProvider(providerUri), '{}')
+        auth.loadClient = sinon.stub().resolves(storedClient)
+        auth.registerClient = sinon.stub().resolves(newClient)
+      })
+
+      function configurationFetch (configuration) {
+        return sinon.stub().resolves({ ok: true, json: () => Promise.resolve(configuration) })
+      }
+
+      it('should keep a stored client if the provider configuration is unchanged', () => {
+        auth.fetchImpl = configurationFetch(Object.assign({ userinfo_endpoint: 'x' }, configuration))
+
+        return auth.loadOrRegisterClient(providerUri)
+          .then(client => {
+            expect(auth.fetchImpl)
+              .to.have.been.calledWith(`${providerUri}/.well-known/openid-configuration`)
+            expect(client).to.equal(storedClient)
+            expect(auth.registerClient).to.not.have.been.called()
+          })
+      })
+
+      it('should purge a stored client if the provider configuration changed', () => {
+        auth.fetchImpl = configurationFetch(Object.assign({}, configuration, {
+          authorization_endpoint: `${providerUri}/auth`
+        }))
+
+        return auth.loadOrRegisterClient(providerUri)
+          .then(client => {
+            expect(client).to.equal(newClient)
+            expect(auth.registerClient).to.have.been.calledWith(providerUri)
+            expect(localStorage.getItem(auth.keyByProvider(providerUri))).to.not.exist()
+          })
+      })
+
+      it('should keep a stored client if the configuration cannot be fetched', () => {
+        auth.fetchImpl = sinon.stub().rejects(new Error('Network error'))
+
+        return auth.loadOrRegisterClient(providerUri)
+          .then(client => {
+            expect(client).to.equal(storedClient)
+          })
+      })
+
+      it('should keep a stored client if there is no fetch() to check it with', () => {
+        auth.fetchImpl = sinon.stub().throws(new TypeError('fetch is not a function'))
+
+        return auth.loadOrRegisterClient(providerUri)
+          .then(client => {
+            expect(client).to.equal(storedClient)
+          })
+      })
+
+      it('should not re-validate the stored client when handling an auth response', () => {
+        auth.window.location.href = 'https://app.example.com/#state=abcd'
+        auth.fetchImpl = sinon.stub()
+
+        return auth.loadOrRegisterClient(providerUri)
+          .then(client => {
+            expect(client).to.equal(storedClient)
+            expect(auth.fetchImpl).to.not.have.been.called()
+          })
+      })
+    })
+  })
+
+  describe('pre-registered clients', () => {
+    const clientIdDocument = 'https://app.example.com/client.jsonld'
+
+    // Serves the provider configuration and keys
+    function providerFetch () {
+      return sinon.spy(url => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(url.endsWith('/jwks')
+          ? { keys: [] }
+          : {
+              issuer: providerUri,
+              authorization_endpoint: `${providerUri}/authorize`,
+              jwks_uri: `${providerUri}/jwks`
+            })
+      }))
+    }
+
+    function authWithClients (clients) {
+      const auth = new SolidAuthOIDC({
+        window: { location: { href: 'https://app.example.com/' } },
+        store: localStorage,
+        flow: 'authorization_code',
+        clients
+      })
+      auth.fetchImpl = providerFetch()
+      sinon.spy(auth, 'registerClient')
+      return auth
+    }
+
+    it('should use a static client registration instead of registering', () => {
+      auth = authWithClients({
+        [providerUri]: {
+          client_id: 'static-client',
+          redirect_uris: ['https://app.example.com/callback']
+        }
+      })
+
+      return auth.loadOrRegisterClient(providerUri)
+        .then(client => {
+          expect(auth.registerClient).to.not.have.been.called()
+          expect(auth.fetchImpl).to.have.been
+            .calledWith(`${providerUri}/.well-known/openid-configuration`)
+          expect(client.registration.client_id).to.equal('static-client')
+          expect(client.registration.token_endpoint_auth_method).to.equal('none')
+          expect(client.defaults.authenticate.redirect_uri)
+            .to.equal('https://app.example.com/callback')
+          expect(client.defaults.authenticate.response_type).to.equal('code')
+          expect(localStorage.getItem(auth.keyByProvider(providerUri))).to.exist()
+        })
+    })
+
+    it('should use a Client ID Document url as the client_id', () => {
+      auth = authWithClients({ [`${providerUri}/`]: clientIdDocument })
+
+      return auth.loadOrRegisterClient(providerUri)
+        .then(client => {
+          expect(auth.registerClient).to.not.have.been.called()
+          expect(client.registration.client_id).to.equal(clientIdDocument)
+          expect(client.registration.redirect_uris)
+            .to.eql(['https://app.example.com/'])
+        })
+    })
+
+    it('should fall back to dynamic registration for other providers', () => {
+      auth = authWithClients({ 'https://other.example.com': clientIdDocument })
+      auth.registerPublicClient = sinon.stub().resolves({ serialize: () => '{}' })
+
+      return auth.loadOrRegisterClient(providerUri)
+        .then(() => {
+          expect(auth.registerClient).to.have.been.calledWith(providerUri)
+        })
+    })
+
+    it('should reject a static registration without a client_id', () => {
+      auth = authWithClients({ [providerUri]: { redirect_uris: [] } })
+
+      return expect(auth.loadOrRegisterClient(providerUri))
+        .to.be.rejectedWith(/missing a client_id/)
+    })
   })
 
   describe('currentLocation()', () => {
@@ -323,50 +1074,2186 @@ describe('SolidAuthOIDC', () => {
           access_token: 'sample.access.token'
         },
         idClaims: {
+          iss: providerUri,
           sub: aliceWebId
         }
       }
+      auth.fetchImpl = webIdProfileFetch(aliceWebId, providerUri)
       const validateResponseStub = sinon.stub().resolves(authResponse)
       const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
         validateResponse: validateResponseStub
       }
 
       return auth.initUserFromResponse(mockClient)
         .then(webId => {
           expect(webId).to.equal(aliceWebId)
+          expect(auth.webId).to.equal(aliceWebId)
           expect(validateResponseStub).to.have.been.called()
         })
     })
-  })
 
-  describe('sendAuthRequest()', () => {
-    it('should compose an auth request uri, save provider, and redirect', () => {
-      const state = 'abcd'
-      const providerUri = 'https://provider.example.com'
-      const authUri = `https://provider.example.com/authorize?state=${state}`
-      const createRequestStub = sinon.stub().resolves(authUri)
+    it('should not log in if the WebID cannot be validated', () => {
       const mockClient = {
-        provider: { url: providerUri },
-        createRequest: createRequestStub
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        validateResponse: sinon.stub().resolves({
+          authorization: { id_token: 'id.token', access_token: 'access.token' },
+          idClaims: { iss: providerUri, sub: 'https://alice.example.com/' }
+        })
       }
+      auth.extractAndValidateWebId = sinon.stub()
+        .rejects(new Error('WebID does not list issuer'))
 
-      auth.sendAuthRequest(mockClient)
+      return expect(auth.initUserFromResponse(mockClient))
+        .to.be.rejectedWith(/does not list issuer/)
         .then(() => {
-          // ensure providerUri was saved
-          expect(auth.loadProvider(state)).to.equal(providerUri)
-          // ensure the redirect happened
-          expect(auth.currentLocation()).to.equal(authUri)
+          expect(auth.webId).to.not.exist()
+          expect(auth.session).to.not.exist()
+          expect(localStorage.getItem('oidc.rp.session.https://alice.example.com/'))
+            .to.not.exist()
         })
     })
-  })
-
-  describe('currentUser()', () => {
-    it('should return cached webId if present', () => {
-      const aliceWebId = 'https://alice.example.com'
-      auth.webId = aliceWebId
 
-      expect(auth.currentUser()).to.eventually.equal(aliceWebId)
-    })
+    it('should navigate to the uri the login was asked to return to', () => {
+      const state = 'abcd'
+      const aliceWebId = 'https://alice.example.com/'
+      const returnTo = 'https://app.example.com/notes/1'
+      auth.window.location.href = `https://app.example.com/callback#state=${state}`
+      auth.fetchImpl = webIdProfileFetch(aliceWebId, providerUri)
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        validateResponse: sinon.stub().resolves({
+          authorization: { id_token: 'id.token', access_token: 'access.token' },
+          idClaims: { iss: providerUri, sub: aliceWebId }
+        })
+      }
+
+      return auth.saveProviderByState(state, providerUri, { returnTo })
+        .then(() => auth.initUserFromResponse(mockClient))
+        .then(webId => {
+          expect(webId).to.equal(aliceWebId)
+          expect(auth.currentLocation()).to.equal(returnTo)
+        })
+    })
+
+    it('should not navigate to a stored uri of another origin', () => {
+      const state = 'abcd'
+      const aliceWebId = 'https://alice.example.com/'
+      const responseUri = `https://app.example.com/callback#state=${state}`
+      auth.window.location.href = responseUri
+      auth.fetchImpl = webIdProfileFetch(aliceWebId, providerUri)
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        validateResponse: sinon.stub().resolves({
+          authorization: { id_token: 'id.token', access_token: 'access.token' },
+          idClaims: { iss: providerUri, sub: aliceWebId }
+        })
+      }
+
+      return auth.saveProviderByState(state, providerUri, { returnTo: 'https://evil.example.com/' })
+        .then(() => auth.initUserFromResponse(mockClient))
+        .then(() => {
+          expect(auth.currentLocation()).to.equal(responseUri)
+        })
+    })
+
+    it('should reject an error response without validating it', () => {
+      const state = 'abcd'
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        validateResponse: sinon.stub()
+      }
+      const responseUri = `https://client-app.example.com/#error=login_required&state=${state}`
+
+      return auth.saveProviderByState(state, providerUri)
+        .then(() => auth.initUserFromResponse(mockClient, responseUri))
+        .then(() => { throw new Error('Expected a rejection') })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(SolidAuthOIDC.AuthResponseError)
+          expect(error.error).to.equal('login_required')
+          expect(mockClient.validateResponse).to.not.have.been.called()
+
+          // the request's state is consumed
+          return auth.loadProvider(state)
+        })
+        .then(loadedProviderUri => {
+          expect(loadedProviderUri).to.not.exist()
+        })
+    })
+
+    it('should reject a token signed with an unknown key as a key rotation', () => {
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        validateResponse: sinon.stub()
+          .rejects(new Error('Cannot resolve signing key for ID Token'))
+      }
+
+      return auth.initUserFromResponse(mockClient)
+        .then(() => { throw new Error('Expected a rejection') })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(SolidAuthOIDC.TokenValidationError)
+          expect(error.code).to.equal('signing_key_not_found')
+          expect(auth.webId).to.not.exist()
+        })
+    })
+  })
+
+  describe('extractAndValidateWebId()', () => {
+    const aliceWebId = 'https://alice.example.com/profile/card#me'
+
+    it('should prefer the webid claim', () => {
+      auth.fetchImpl = webIdProfileFetch(aliceWebId, providerUri)
+      const idClaims = { iss: providerUri, sub: 'alice', webid: aliceWebId }
+
+      return auth.extractAndValidateWebId(idClaims)
+        .then(webId => {
+          expect(webId).to.equal(aliceWebId)
+          expect(auth.fetchImpl).to.have.been.calledWith(aliceWebId)
+        })
+    })
+
+    it('should fall back to an https sub claim', () => {
+      auth.fetchImpl = webIdProfileFetch(aliceWebId, providerUri)
+      const idClaims = { iss: providerUri, sub: aliceWebId }
+
+      return expect(auth.extractAndValidateWebId(idClaims))
+        .to.eventually.equal(aliceWebId)
+    })
+
+    it('should reject if there is no webid claim and sub is not https', () => {
+      auth.fetchImpl = sinon.stub()
+      const idClaims = { iss: providerUri, sub: 'http://alice.example.com/#me' }
+
+      return expect(auth.extractAndValidateWebId(idClaims))
+        .to.be.rejectedWith(/Cannot extract WebID/)
+        .then(() => {
+          expect(auth.fetchImpl).to.not.have.been.called()
+        })
+    })
+
+    it('should ignore a trailing slash difference in the issuer', () => {
+      auth.fetchImpl = webIdProfileFetch(aliceWebId, providerUri + '/')
+      const idClaims = { iss: providerUri, webid: aliceWebId }
+
+      return expect(auth.extractAndValidateWebId(idClaims))
+        .to.eventually.equal(aliceWebId)
+    })
+
+    it('should reject if the profile does not list the token issuer', () => {
+      auth.fetchImpl = webIdProfileFetch(aliceWebId, 'https://other.example.com')
+      const idClaims = { iss: providerUri, webid: aliceWebId }
+
+      return expect(auth.extractAndValidateWebId(idClaims))
+        .to.be.rejectedWith(SolidAuthOIDC.WebIdValidationError,
+          /does not list https:\/\/provider.example.com as its OIDC issuer/)
+    })
+  })
+
+  describe('sendAuthRequest()', () => {
+    it('should compose an auth request uri, save provider, and redirect', () => {
+      const state = 'abcd'
+      const providerUri = 'https://provider.example.com'
+      const authUri = `https://provider.example.com/authorize?state=${state}`
+      const createRequestStub = sinon.stub().resolves(authUri)
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        createRequest: createRequestStub
+      }
+
+      return auth.sendAuthRequest(mockClient)
+        .then(() => {
+          // ensure the redirect happened
+          expect(auth.currentLocation()).to.equal(authUri)
+
+          return auth.loadProvider(state)
+        })
+        .then(loadedProviderUri => {
+          // ensure providerUri was saved
+          expect(loadedProviderUri).to.equal(providerUri)
+        })
+    })
+
+    it('should pass the login options through as request params', () => {
+      const state = 'abcd'
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        createRequest: sinon.stub()
+          .resolves(`https://provider.example.com/authorize?state=${state}`)
+      }
+
+      return auth.sendAuthRequest(mockClient, {
+        scope: 'webid offline_access',
+        prompt: 'consent',
+        loginHint: 'https://alice.example.com/profile/card#me',
+        maxAge: 0,
+        acrValues: ['urn:mace:incommon:iap:silver', 'mfa'],
+        claims: { id_token: { webid: { essential: true } } },
+        uiLocales: 'fr-CA fr',
+        returnTo: 'https://app.example.com/notes/1'
+      })
+        .then(() => {
+          expect(mockClient.createRequest.firstCall.args[0]).to.eql({
+            scope: 'openid webid offline_access',
+            prompt: 'consent',
+            login_hint: 'https://alice.example.com/profile/card#me',
+            max_age: 0,
+            acr_values: 'urn:mace:incommon:iap:silver mfa',
+            claims: '{"id_token":{"webid":{"essential":true}}}',
+            ui_locales: 'fr-CA fr'
+          })
+        })
+    })
+
+    it("should keep the RelyingParty's request entries in the store", () => {
+      const state = 'abcd'
+      const historyKey = `${providerUri}/requestHistory/${state}`
+      const authUri = `https://provider.example.com/authorize?state=${state}`
+      const store = new SolidAuthOIDC.MemoryStorage()
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        createRequest: (params, session) => {
+          session[historyKey] = '{"state":[1]}'
+          session[RelyingParty.SESSION_PRIVATE_KEY] = '{"kty":"RSA"}'
+          return Promise.resolve(authUri)
+        },
+        validateResponse: sinon.stub().rejects(new Error('Invalid'))
+      }
+      auth = new SolidAuthOIDC({ window: { location: {} }, store })
+      auth.redirectTo = sinon.stub()
+
+      return auth.sendAuthRequest(mockClient)
+        .then(() => store.getItem(historyKey))
+        .then(request => {
+          expect(request).to.equal('{"state":[1]}')
+
+          return auth.validateResponse(mockClient, `https://rp.com/#state=${state}`)
+            .catch(() => {})
+        })
+        .then(() => {
+          const session = mockClient.validateResponse.firstCall.args[1]
+          expect(session).to.eql({
+            [historyKey]: '{"state":[1]}',
+            [RelyingParty.SESSION_PRIVATE_KEY]: '{"kty":"RSA"}'
+          })
+        })
+    })
+
+    it('should send a PKCE code challenge when using the code flow', () => {
+      const state = 'abcd'
+      const authUri = `https://provider.example.com/authorize?state=${state}`
+      const createRequestStub = sinon.stub().resolves(authUri)
+      const mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        createRequest: createRequestStub
+      }
+      auth.flow = 'authorization_code'
+
+      return auth.sendAuthRequest(mockClient)
+        .then(() => {
+          const options = createRequestStub.firstCall.args[0]
+          expect(options.code_challenge_method).to.equal('S256')
+          expect(options.code_challenge).to.exist()
+
+          // ensure the code verifier was saved, by state
+          return auth.loadCodeVerifier(state)
+        })
+        .then(codeVerifier => {
+          expect(codeVerifier).to.exist()
+        })
+    })
+  })
+
+  describe('popup login', () => {
+    const state = 'abcd'
+    const authUri = `https://provider.example.com/authorize?state=${state}`
+    const responseUri = `https://rp.com/#access_token=123&state=${state}`
+    var popup, mockClient
+
+    beforeEach(() => {
+      popup = { closed: false, close: sinon.stub() }
+      auth = new SolidAuthOIDC({
+        window: {
+          location: { href: 'https://rp.com/' },
+          addEventListener: sinon.stub(),
+          open: sinon.stub().returns(popup)
+        },
+        store: localStorage,
+        method: 'popup'
+      })
+      mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        createRequest: sinon.stub().resolves(authUri)
+      }
+    })
+
+    it('should open the auth request in a popup and init user from the response', () => {
+      const aliceWebId = 'https://alice.example.com/'
+      auth.initUserFromResponse = sinon.stub().resolves(aliceWebId)
+
+      const login = auth.sendAuthRequest(mockClient)
+
+      return Promise.resolve()
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => {
+          expect(auth.window.open).to.have.been.calledWith(authUri)
+
+          auth.onMessage({
+            origin: 'https://rp.com',
+            data: { event_type: 'authResponse', value: responseUri }
+          })
+
+          return login
+        })
+        .then(webId => {
+          expect(webId).to.equal(aliceWebId)
+          expect(auth.initUserFromResponse)
+            .to.have.been.calledWith(mockClient, responseUri)
+          expect(popup.close).to.have.been.called()
+          expect(auth.currentLocation()).to.equal('https://rp.com/')
+        })
+    })
+
+    function untilAuthRequestSent () {
+      let ticks = 0
+      const tick = () => new Promise(resolve => setImmediate(resolve))
+        .then(() => {
+          if (auth.pendingAuthResponses[state] || ++ticks > 50) { return }
+          return tick()
+        })
+      return tick()
+    }
+
+    it('should open the popup when login() starts, and send it the request', () => {
+      const aliceWebId = 'https://alice.example.com/'
+      popup.location = {}
+      sinon.stub(auth, 'loadOrRegisterClient').resolves(mockClient)
+      auth.initUserFromResponse = sinon.stub().resolves(aliceWebId)
+
+      const login = auth.login(providerUri)
+
+      // synchronously, while handling the user's click
+      expect(auth.window.open).to.have.been.calledOnceWith('', 'solidAuthPopup')
+
+      return untilAuthRequestSent()
+        .then(() => {
+          expect(popup.location.href).to.equal(authUri)
+          expect(auth.window.open).to.have.been.calledOnce()
+
+          auth.onMessage({
+            origin: 'https://rp.com',
+            data: { event_type: 'authResponse', value: responseUri }
+          })
+
+          return login
+        })
+        .then(webId => {
+          expect(webId).to.equal(aliceWebId)
+        })
+    })
+
+    it('should show the Select Provider UI in the login popup', () => {
+      popup.location = {}
+      popup.document = selectProviderDocument(providerUri)
+      auth.providerFromCurrentUri = sinon.stub().resolves(null)
+      sinon.stub(auth, 'loadOrRegisterClient').resolves(mockClient)
+      auth.initUserFromResponse = sinon.stub().resolves('https://alice.example.com/')
+
+      const login = auth.login()
+
+      return Promise.resolve()
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => {
+          expect(popup.document.write).to.have.been.called()
+
+          popup.document.providerButton.click()
+
+          return untilAuthRequestSent()
+        })
+        .then(() => {
+          expect(auth.window.open).to.have.been.calledOnce()
+          expect(popup.close).to.not.have.been.called()
+          expect(popup.location.href).to.equal(authUri)
+
+          auth.onMessage({
+            origin: 'https://rp.com',
+            data: { event_type: 'authResponse', value: responseUri }
+          })
+
+          return login
+        })
+    })
+
+    it('should close the login popup if the login fails', () => {
+      sinon.stub(auth, 'loadOrRegisterClient')
+        .rejects(new Error('Could not register'))
+
+      return expect(auth.login(providerUri))
+        .to.be.rejectedWith(/Could not register/)
+        .then(() => {
+          expect(popup.close).to.have.been.called()
+        })
+    })
+
+    it('should ignore auth responses from other origins', () => {
+      const pending = { resolve: sinon.stub(), popup }
+      auth.pendingAuthResponses[state] = pending
+
+      auth.onMessage({
+        origin: 'https://evil.example.com',
+        data: { event_type: 'authResponse', value: responseUri }
+      })
+
+      expect(pending.resolve).to.not.have.been.called()
+    })
+
+    it('should log received auth responses to the logger, redacted', () => {
+      const logger = { debug: sinon.stub(), warn: sinon.stub() }
+      auth = new SolidAuthOIDC({
+        window: auth.window, store: localStorage, logger, logLevel: 'debug'
+      })
+
+      auth.onMessage({
+        origin: 'https://evil.example.com',
+        data: { event_type: 'authResponse', value: responseUri }
+      })
+
+      const logged = JSON.stringify(logger.debug.firstCall.args)
+      expect(logged).to.not.include(state)
+      expect(logger.warn).to.have.been
+        .calledWith('onMessage - ignoring event from origin:', 'https://evil.example.com')
+    })
+
+    it('should reject if the popup is closed before a response', () => {
+      const clock = sinon.useFakeTimers()
+
+      const login = auth.openAuthPopup(authUri, state)
+      popup.closed = true
+      clock.tick(1000)
+      clock.restore()
+
+      return expect(login)
+        .to.be.rejectedWith(SolidAuthOIDC.PopupError, /Login popup window was closed/)
+    })
+
+    it('should reject if the popup could not be opened', () => {
+      auth.window.open = sinon.stub().returns(null)
+
+      return expect(auth.openAuthPopup(authUri, state))
+        .to.be.rejectedWith(SolidAuthOIDC.PopupError, /Could not open login popup window/)
+        .and.eventually.have.property('code', 'popup_blocked')
+    })
+
+    it('should post the auth response back to the window that opened it', () => {
+      const opener = { postMessage: sinon.stub() }
+      auth.window.opener = opener
+      auth.window.location.href = responseUri
+
+      return auth.currentUser()
+        .then(webId => {
+          expect(webId).to.not.exist()
+          expect(opener.postMessage).to.have.been.calledWith(
+            { event_type: 'authResponse', value: responseUri }, 'https://rp.com')
+        })
+    })
+  })
+
+  describe('silent session renewal', () => {
+    const state = 'abcd'
+    const authUri = `https://provider.example.com/authorize?state=${state}`
+    const responseUri = `https://rp.com/#access_token=123&state=${state}`
+    var document, mockClient
+
+    beforeEach(() => {
+      document = {
+        body: { appendChild: sinon.stub() },
+        createElement: sinon.stub().returns({ setAttribute: sinon.stub() })
+      }
+      auth = new SolidAuthOIDC({
+        window: {
+          location: { href: 'https://rp.com/' },
+          addEventListener: sinon.stub(),
+          document
+        },
+        store: localStorage,
+        silentRenew: true
+      })
+      mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        createRequest: sinon.stub().resolves(authUri)
+      }
+    })
+
+    afterEach(() => {
+      auth.cancelSessionRenewal()
+    })
+
+    it('should reject if there is no current client', () => {
+      return expect(auth.renewSession())
+        .to.be.rejectedWith(SolidAuthOIDC.SolidAuthError, /no current client/)
+    })
+
+    it('should reject with a timeout error if the iframe does not respond', () => {
+      const clock = sinon.useFakeTimers(Date.now())
+      auth.currentClient = mockClient
+
+      const renewal = auth.renewSession()
+
+      return clock.tickAsync(10 * 1000)
+        .then(() => expect(renewal).to.be.rejectedWith(SolidAuthOIDC.AuthResponseError))
+        .then(error => {
+          expect(error.error).to.equal('timeout')
+          expect(auth.pendingAuthResponses).to.be.empty()
+        })
+        .finally(() => clock.restore())
+    })
+
+    it('should send a prompt=none request in a hidden iframe', () => {
+      const aliceWebId = 'https://alice.example.com/'
+      auth.currentClient = mockClient
+      auth.initUserFromResponse = sinon.stub().resolves(aliceWebId)
+
+      const renewal = auth.renewSession()
+
+      return new Promise(resolve => setImmediate(resolve))
+        .then(() => {
+          expect(mockClient.createRequest.firstCall.args[0])
+            .to.eql({ prompt: 'none' })
+          const frame = document.createElement.firstCall.returnValue
+          expect(document.createElement).to.have.been.calledWith('iframe')
+          expect(frame.setAttribute).to.have.been.calledWith('src', authUri)
+          expect(document.body.appendChild).to.have.been.calledWith(frame)
+
+          auth.onMessage({
+            origin: 'https://rp.com',
+            data: { event_type: 'authResponse', value: responseUri }
+          })
+
+          return renewal
+        })
+        .then(webId => {
+          expect(webId).to.equal(aliceWebId)
+          expect(auth.initUserFromResponse)
+            .to.have.been.calledWith(mockClient, responseUri)
+        })
+    })
+
+    it('should not leak per-request params into the client defaults', () => {
+      const defaults = { authenticate: { scope: 'openid' } }
+      mockClient.defaults = defaults
+      mockClient.createRequest = function (options) {
+        Object.assign(this.defaults.authenticate, options)
+        return Promise.resolve(authUri)
+      }
+
+      return auth.createAuthRequest(mockClient, { prompt: 'none' })
+        .then(() => {
+          expect(mockClient.defaults).to.equal(defaults)
+          expect(defaults.authenticate).to.eql({ scope: 'openid' })
+        })
+    })
+
+    it('should schedule a renewal shortly before the session expires', () => {
+      const clock = sinon.useFakeTimers(Date.now())
+      auth.renewSession = sinon.stub().resolves()
+      auth.session = {
+        idClaims: { exp: Math.floor(Date.now() / 1000) + 3600 }
+      }
+
+      auth.scheduleSessionRenewal()
+
+      clock.tick(3500 * 1000)
+      expect(auth.renewSession).to.not.have.been.called()
+
+      return clock.tickAsync(60 * 1000)
+        .then(() => {
+          expect(auth.renewSession).to.have.been.called()
+        })
+        .finally(() => clock.restore())
+    })
+
+    it('should cancel a scheduled renewal when the user is cleared', () => {
+      auth.session = {
+        idClaims: { exp: Math.floor(Date.now() / 1000) + 3600 }
+      }
+      auth.scheduleSessionRenewal()
+      expect(auth.renewalTimer).to.exist()
+
+      auth.clearCurrentUser()
+
+      expect(auth.renewalTimer).to.not.exist()
+    })
+
+    it('should post the auth response to the parent window from the iframe', () => {
+      const parent = { postMessage: sinon.stub() }
+      auth.window.parent = parent
+      auth.window.location.href = responseUri
+
+      return auth.saveProviderByState(state, providerUri, { silent: true })
+        .then(() => auth.sendAuthResponseToOpener())
+        .then(isSent => {
+          expect(isSent).to.be.true()
+          expect(parent.postMessage).to.have.been.calledWith(
+            { event_type: 'authResponse', value: responseUri }, 'https://rp.com')
+        })
+    })
+
+    it('should not post the response of a non-silent request to the parent window', () => {
+      const parent = { postMessage: sinon.stub() }
+      auth.window.parent = parent
+      auth.window.location.href = responseUri
+      auth.login = sinon.stub().resolves('https://alice.example.com/')
+
+      return auth.saveProviderByState(state, providerUri)
+        .then(() => auth.sendAuthResponseToOpener())
+        .then(isSent => {
+          expect(isSent).to.be.false()
+          expect(parent.postMessage).to.not.have.been.called()
+
+          return auth.currentUser()
+        })
+        .then(webId => {
+          expect(webId).to.equal('https://alice.example.com/')
+          expect(auth.login).to.have.been.calledWith(providerUri)
+        })
+    })
+  })
+
+  describe('refresh tokens', () => {
+    const tokenEndpoint = 'https://provider.example.com/token'
+    const aliceWebId = 'https://alice.example.com/'
+    var mockClient
+
+    beforeEach(() => {
+      mockClient = {
+        provider: {
+          url: providerUri,
+          configuration: { token_endpoint: tokenEndpoint }
+        },
+        registration: { client_id: 'client123' }
+      }
+      auth.currentClient = mockClient
+      auth.webId = aliceWebId
+      auth.session = {
+        credentialType: 'access_token',
+        issuer: providerUri,
+        sessionKey: 'session.key',
+        idClaims: { sub: 'https://alice.example.com/' },
+        authorization: {
+          client_id: 'client123',
+          id_token: 'old.id.token',
+          access_token: 'old.access.token',
+          refresh_token: 'refresh1'
+        }
+      }
+    })
+
+    it('should store the refresh token from an auth response', () => {
+      const validateResponse = sinon.stub().resolves({
+        authorization: {
+          id_token: 'id.token',
+          access_token: 'access.token',
+          refresh_token: 'refresh1'
+        },
+        idClaims: { sub: 'https://alice.example.com/' }
+      })
+      mockClient.validateResponse = validateResponse
+      skipWebIdValidation(auth)
+      auth.webId = null
+
+      return auth.initUserFromResponse(mockClient)
+        .then(() => auth.loadRefreshToken(aliceWebId))
+        .then(refreshToken => {
+          expect(refreshToken).to.equal('refresh1')
+        })
+    })
+
+    it('should keep refresh tokens in the refresh token store, if given', () => {
+      const refreshTokenStore = { setItem: sinon.stub() }
+      auth = new SolidAuthOIDC({ store: localStorage, refreshTokenStore })
+
+      return auth.saveRefreshToken(aliceWebId, 'refresh1')
+        .then(() => {
+          expect(refreshTokenStore.setItem).to.have.been
+            .calledWith(`oidc.rp.refresh-token.${aliceWebId}`, 'refresh1')
+          expect(localStorage.getItem(`oidc.rp.refresh-token.${aliceWebId}`))
+            .to.not.exist()
+        })
+    })
+
+    it('should accept an async refresh token store', () => {
+      const refreshTokenStore = new SolidAuthOIDC.MemoryStorage()
+      auth = new SolidAuthOIDC({ store: localStorage, refreshTokenStore })
+
+      return auth.saveRefreshToken(aliceWebId, 'refresh1')
+        .then(() => refreshTokenStore.getItem(`oidc.rp.refresh-token.${aliceWebId}`))
+        .then(refreshToken => {
+          expect(refreshToken).to.equal('refresh1')
+          expect(auth.refreshTokenStore).to.equal(refreshTokenStore)
+        })
+    })
+
+    it('should reject refreshing if no refresh token is stored', () => {
+      return expect(auth.refreshSession())
+        .to.be.rejectedWith(/no refresh token/)
+    })
+
+    it('should refresh the session and rotate the refresh token', () => {
+      auth.fetchImpl = sinon.stub().resolves(httpResponse(200, {
+        access_token: 'new.access.token',
+        refresh_token: 'refresh2',
+        expires_in: 3600
+      }))
+
+      return auth.saveRefreshToken(aliceWebId, 'refresh1')
+        .then(() => auth.refreshSession())
+        .then(session => {
+          const [url, options] = auth.fetchImpl.firstCall.args
+          const body = new URLSearchParams(options.body)
+          expect(url).to.equal(tokenEndpoint)
+          expect(body.get('grant_type')).to.equal('refresh_token')
+          expect(body.get('refresh_token')).to.equal('refresh1')
+          expect(body.get('client_id')).to.equal('client123')
+
+          expect(session).to.equal(auth.session)
+          expect(auth.accessToken).to.equal('new.access.token')
+          expect(auth.idToken).to.equal('old.id.token')
+          expect(session.sessionKey).to.equal('session.key')
+          expect(session.expiresAt).to.be.above(Date.now())
+
+          return auth.loadRefreshToken(aliceWebId)
+        })
+        .then(refreshToken => {
+          expect(refreshToken).to.equal('refresh2')
+        })
+    })
+
+    it('should validate a refreshed ID token', () => {
+      auth.fetchImpl = sinon.stub().resolves(httpResponse(200, {
+        access_token: 'new.access.token',
+        id_token: 'new.id.token'
+      }))
+      auth.validateRefreshedIdToken = sinon.stub()
+        .resolves({ sub: 'https://mallory.example.com/' })
+
+      return auth.saveRefreshToken(aliceWebId, 'refresh1')
+        .then(() => expect(auth.refreshSession())
+          .to.be.rejectedWith(/different subject/))
+    })
+
+    it('should refresh an expired session before issuing a PoP token', () => {
+      const issueFor = sinon.stub(PoPToken, 'issueFor').resolves('pop.token')
+      auth.session.expiresAt = Date.now() - 1000
+      auth.fetchImpl = sinon.stub().resolves(httpResponse(200, {
+        access_token: 'new.access.token', expires_in: 3600
+      }))
+
+      return auth.saveRefreshToken(aliceWebId, 'refresh1')
+        .then(() => auth.issuePoPTokenFor('https://rs.com', auth.session))
+        .then(token => {
+          expect(token).to.equal('pop.token')
+          expect(auth.fetchImpl).to.have.been.called()
+          const session = issueFor.firstCall.args[1]
+          expect(session.authorization.access_token)
+            .to.equal('new.access.token')
+        })
+        .finally(() => issueFor.restore())
+    })
+  })
+
+  describe('fetch()', () => {
+    const resourceUri = 'https://alice.example.com/private/data.ttl'
+
+    beforeEach(() => {
+      auth.fetchImpl = sinon.stub().resolves(httpResponse(200))
+      auth.issuePoPTokenFor = sinon.stub().resolves('pop.token')
+    })
+
+    it('should pass through requests when no user is logged in', () => {
+      const init = { method: 'GET' }
+
+      return auth.fetch(resourceUri, init)
+        .then(() => {
+          expect(auth.fetchImpl).to.have.been.calledWith(resourceUri, init)
+          expect(auth.issuePoPTokenFor).to.not.have.been.called()
+        })
+    })
+
+    it('should attach a PoP token for the current session', () => {
+      auth.session = {}
+
+      return auth.fetch(resourceUri, { headers: { Accept: 'text/turtle' } })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(auth.issuePoPTokenFor)
+            .to.have.been.calledWith(resourceUri, auth.session)
+          const [input, init] = auth.fetchImpl.firstCall.args
+          expect(input).to.equal(resourceUri)
+          expect(init.headers.get('authorization')).to.equal('Bearer pop.token')
+          expect(init.headers.get('accept')).to.equal('text/turtle')
+        })
+    })
+
+    it('should accept a Request as input', () => {
+      auth.session = {}
+      const request = { url: resourceUri, headers: { Accept: 'text/turtle' } }
+
+      return auth.fetch(request)
+        .then(() => {
+          expect(auth.issuePoPTokenFor)
+            .to.have.been.calledWith(resourceUri, auth.session)
+          const [input, init] = auth.fetchImpl.firstCall.args
+          expect(input).to.equal(request)
+          expect(init.headers.get('accept')).to.equal('text/turtle')
+        })
+    })
+
+    it('should accept a URL as input', () => {
+      auth.session = {}
+      const url = new URL(resourceUri)
+
+      return auth.fetch(url)
+        .then(() => {
+          expect(auth.issuePoPTokenFor)
+            .to.have.been.calledWith(resourceUri, auth.session)
+          expect(auth.fetchImpl.firstCall.args[0]).to.equal(url)
+        })
+    })
+
+    it('should retry a Request with a body on a 401', () => {
+      auth.session = {}
+      const bodies = []
+      auth.fetchImpl = sinon.stub().callsFake(request => request.text()
+        .then(body => {
+          bodies.push(body)
+          return { status: bodies.length === 1 ? 401 : 201 }
+        }))
+      auth.extendSession = sinon.stub().resolves()
+
+      return auth.fetch(new global.Request(resourceUri, { method: 'PUT', body: 'data' }))
+        .then(res => {
+          expect(res.status).to.equal(201)
+          expect(bodies).to.eql(['data', 'data'])
+        })
+    })
+
+    it('should extend the session and retry once on a 401', () => {
+      auth.session = {}
+      auth.fetchImpl = sinon.stub()
+      auth.fetchImpl.onFirstCall().resolves(httpResponse(401))
+      auth.fetchImpl.onSecondCall().resolves(httpResponse(200))
+      auth.extendSession = sinon.stub().resolves()
+
+      return auth.fetch(resourceUri)
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(auth.extendSession).to.have.been.calledOnce()
+          expect(auth.fetchImpl).to.have.been.calledTwice()
+        })
+    })
+
+    it('should return the 401 response if the session cannot be extended', () => {
+      auth.session = {}
+      auth.fetchImpl = sinon.stub().resolves(httpResponse(401))
+      auth.extendSession = sinon.stub().rejects(new Error('no refresh token'))
+
+      return auth.fetch(resourceUri)
+        .then(res => {
+          expect(res.status).to.equal(401)
+          expect(auth.fetchImpl).to.have.been.calledOnce()
+        })
+    })
+
+    it('should use an injected fetch implementation', () => {
+      const fetch = sinon.stub().resolves(httpResponse(200))
+      const auth = new SolidAuthOIDC({ store: localStorage, fetch })
+
+      return auth.fetch(resourceUri)
+        .then(() => {
+          expect(fetch).to.have.been.calledWith(resourceUri)
+        })
+    })
+  })
+
+  describe('session persistence', () => {
+    const aliceWebId = 'https://alice.example.com/'
+    var mockClient
+
+    function authResponse (expiresIn) {
+      return sessionResponse(providerUri, aliceWebId, {
+        expiresIn,
+        authorization: { client_id: 'client123', refresh_token: 'refresh1' }
+      })
+    }
+
+    beforeEach(() => {
+      mockClient = sessionClient(providerUri, authResponse(3600))
+      skipWebIdValidation(auth)
+    })
+
+    it('should save the session on login and restore it', () => {
+      return auth.initUserFromResponse(mockClient)
+        .then(() => {
+          const saved = JSON.parse(localStorage.getItem(`oidc.rp.session.${aliceWebId}`))
+          expect(saved.webId).to.equal(aliceWebId)
+          expect(saved.providerUri).to.equal(providerUri)
+          expect(saved.session.authorization.refresh_token).to.not.exist()
+
+          // e.g. after a page reload
+          auth = new SolidAuthOIDC({ window: { location: {} }, store: localStorage })
+          auth.loadClient = sinon.stub().resolves(mockClient)
+
+          return auth.currentUser()
+        })
+        .then(webId => {
+          expect(webId).to.equal(aliceWebId)
+          expect(auth.loadClient).to.have.been.calledWith(providerUri)
+          expect(auth.currentClient).to.equal(mockClient)
+          expect(auth.idToken).to.equal('id.token')
+          expect(auth.accessToken).to.equal('access.token')
+          expect(auth.session.sessionKey).to.equal('session.key')
+        })
+    })
+
+    it('should discard an expired saved session', () => {
+      mockClient.validateResponse = sinon.stub().resolves(authResponse(-60))
+
+      return auth.initUserFromResponse(mockClient)
+        .then(() => {
+          auth = new SolidAuthOIDC({ window: { location: {} }, store: localStorage })
+          auth.loadClient = sinon.stub().resolves(mockClient)
+
+          return auth.clearRefreshToken(aliceWebId)
+        })
+        .then(() => auth.restoreSession())
+        .then(webId => {
+          expect(webId).to.not.exist()
+          expect(auth.webId).to.not.exist()
+          expect(auth.session).to.not.exist()
+          expect(localStorage.getItem(`oidc.rp.session.${aliceWebId}`)).to.not.exist()
+        })
+    })
+
+    it('should refresh an expired saved session if possible', () => {
+      mockClient.validateResponse = sinon.stub().resolves(authResponse(-60))
+
+      return auth.initUserFromResponse(mockClient)
+        .then(() => {
+          auth = new SolidAuthOIDC({ window: { location: {} }, store: localStorage })
+          auth.loadClient = sinon.stub().resolves(mockClient)
+          auth.refreshSession = sinon.stub().resolves({})
+
+          return auth.restoreSession()
+        })
+        .then(webId => {
+          expect(webId).to.equal(aliceWebId)
+          expect(auth.refreshSession).to.have.been.called()
+        })
+    })
+
+    it('should resolve to null if no session was saved', () => {
+      return auth.restoreSession()
+        .then(webId => {
+          expect(webId).to.not.exist()
+        })
+    })
+
+    it('should clear the saved session on logout', () => {
+      return auth.initUserFromResponse(mockClient)
+        .then(() => auth.logout())
+        .then(() => {
+          expect(localStorage.getItem(`oidc.rp.session.${aliceWebId}`)).to.not.exist()
+        })
+    })
+  })
+
+  describe('non-extractable session keys', () => {
+    const aliceWebId = 'https://alice.example.com/'
+    const state = 'abcd'
+    var keyStore, mockClient
+
+    beforeEach(() => {
+      keyStore = new SolidAuthOIDC.MemoryKeyStore()
+      auth = new SolidAuthOIDC({
+        window: { location: {} }, store: localStorage, sessionKeyStore: keyStore
+      })
+      auth.redirectTo = sinon.stub()
+      skipWebIdValidation(auth)
+
+      mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        createRequest: (params, session) => {
+          session[RelyingParty.SESSION_PRIVATE_KEY] = '{"kty":"RSA","d":"private"}'
+          return Promise.resolve(`${providerUri}/authorize?state=${state}&key=%5Bobject+Object%5D`)
+        },
+        validateResponse: sinon.stub().resolves({
+          credentialType: 'access_token',
+          issuer: providerUri,
+          idClaims: { sub: aliceWebId },
+          authorization: {
+            client_id: 'client123', id_token: 'id.token', access_token: 'access.token'
+          }
+        })
+      }
+    })
+
+    // Sends an auth request, and handles its response
+    function login () {
+      return auth.sendAuthRequest(mockClient)
+        .then(() => {
+          auth.window.location.href = `https://app.example.com/#state=${state}`
+
+          return auth.initUserFromResponse(mockClient)
+        })
+    }
+
+    it('should send a key kept in the key store, instead of the RelyingParty\'s', () => {
+      return auth.sendAuthRequest(mockClient)
+        .then(() => {
+          const authUri = new URL(auth.redirectTo.firstCall.args[0])
+          const publicJwk = JSON.parse(authUri.searchParams.get('key'))
+          expect(publicJwk.kty).to.equal('RSA')
+          expect(publicJwk.d).to.not.exist()
+
+          expect(localStorage.getItem(RelyingParty.SESSION_PRIVATE_KEY)).to.not.exist()
+
+          const handle = localStorage.getItem(`oidc.rp.session-key.${state}`)
+          return keyStore.loadKey(handle)
+        })
+        .then(keyPair => {
+          expect(keyPair.privateKey.extractable).to.be.false()
+        })
+    })
+
+    it('should save the session with the key handle, not the key', () => {
+      return login()
+        .then(() => {
+          const saved = JSON.parse(localStorage.getItem(`oidc.rp.session.${aliceWebId}`))
+          expect(saved.session.sessionKey).to.not.exist()
+          expect(saved.session.sessionKeyHandle).to.equal(auth.session.sessionKeyHandle)
+          expect(localStorage.getItem(`oidc.rp.session-key.${state}`)).to.not.exist()
+
+          return keyStore.loadKey(saved.session.sessionKeyHandle)
+        })
+        .then(keyPair => {
+          expect(keyPair).to.exist()
+        })
+    })
+
+    it('should look the key up by handle when restoring the session', () => {
+      return login()
+        .then(() => {
+          // e.g. after a page reload
+          auth = new SolidAuthOIDC({
+            window: { location: {} }, store: localStorage, sessionKeyStore: keyStore
+          })
+          auth.loadClient = sinon.stub().resolves(mockClient)
+
+          return auth.restoreSession()
+        })
+        .then(webId => {
+          expect(webId).to.equal(aliceWebId)
+
+          return auth.issuePoPTokenFor('https://rs.example.com/resource', auth.session)
+        })
+        .then(token => {
+          const jwt = JWT.decode(token)
+          expect(jwt.payload.aud).to.equal('https://rs.example.com')
+          expect(jwt.payload.id_token).to.equal('id.token')
+        })
+    })
+
+    it('should drop a saved session whose key is gone', () => {
+      return login()
+        .then(() => keyStore.removeKey(auth.session.sessionKeyHandle))
+        .then(() => {
+          auth = new SolidAuthOIDC({
+            window: { location: {} }, store: localStorage, sessionKeyStore: keyStore
+          })
+          auth.loadClient = sinon.stub().resolves(mockClient)
+
+          return auth.restoreSession()
+        })
+        .then(webId => {
+          expect(webId).to.not.exist()
+          expect(localStorage.getItem(`oidc.rp.session.${aliceWebId}`)).to.not.exist()
+        })
+    })
+
+    it('should remove the key on logout', () => {
+      let handle
+
+      return login()
+        .then(() => {
+          handle = auth.session.sessionKeyHandle
+
+          return auth.logout()
+        })
+        .then(() => keyStore.loadKey(handle))
+        .then(keyPair => {
+          expect(keyPair).to.be.null()
+        })
+    })
+  })
+
+  describe('DPoP', () => {
+    const tokenEndpoint = `${providerUri}/token`
+    const resourceUri = 'https://alice.example.com/private/data.ttl?a=b'
+    const state = 'abcd'
+
+    beforeEach(() => {
+      auth = new SolidAuthOIDC({ window: { location: {} }, store: localStorage, dpop: true })
+    })
+
+    const tokens = { id_token: 'id.token', access_token: 'access.token', token_type: 'DPoP' }
+
+    // Decodes the payload of the DPoP proof a request was sent with
+    function proofClaims (call) {
+      const headers = call.args[1].headers
+      const proof = typeof headers.get === 'function' ? headers.get('DPoP') : headers.DPoP
+
+      return JSON.parse(Buffer.from(proof.split('.')[1], 'base64'))
+    }
+
+    it('should default to, and require, the authorization code flow', () => {
+      expect(auth.flow).to.equal('authorization_code')
+      expect(() => new SolidAuthOIDC({ dpop: true, flow: 'implicit' }))
+        .to.throw(/requires the authorization_code flow/)
+    })
+
+    it('should send a DPoP proof with the token request', () => {
+      auth.fetchImpl = sinon.stub().resolves(httpResponse(200, tokens))
+
+      return auth.saveCodeVerifier(state, 'verifier123')
+        .then(() => auth.exchangeCode(codeResponse(tokenEndpoint, state)))
+        .then(response => {
+          const claims = proofClaims(auth.fetchImpl.firstCall)
+          expect(claims.htm).to.equal('POST')
+          expect(claims.htu).to.equal(tokenEndpoint)
+          expect(claims.ath).to.not.exist()
+
+          // without a key store, the (ES256) key is saved with the session
+          const privateJwk = JSON.parse(response.dpopSessionKey.sessionKey)
+          expect(privateJwk.crv).to.equal('P-256')
+        })
+    })
+
+    it('should keep the DPoP key in the key store', () => {
+      const keyStore = new SolidAuthOIDC.MemoryKeyStore()
+      auth = new SolidAuthOIDC({
+        window: { location: {} }, store: localStorage, dpop: true, sessionKeyStore: keyStore
+      })
+      auth.fetchImpl = sinon.stub().resolves(httpResponse(200, tokens))
+
+      return auth.saveCodeVerifier(state, 'verifier123')
+        .then(() => auth.exchangeCode(codeResponse(tokenEndpoint, state)))
+        .then(response => keyStore.loadKey(response.dpopSessionKey.sessionKeyHandle))
+        .then(keyPair => {
+          expect(keyPair.privateKey.extractable).to.be.false()
+          expect(keyPair.privateKey.algorithm.name).to.equal('ECDSA')
+        })
+    })
+
+    it('should retry the token request with the nonce the provider asks for', () => {
+      auth.fetchImpl = sinon.stub()
+      auth.fetchImpl.onFirstCall()
+        .resolves(httpResponse(400, { error: 'use_dpop_nonce' }, { 'dpop-nonce': 'nonce1' }))
+      auth.fetchImpl.onSecondCall().resolves(httpResponse(200, tokens))
+
+      return auth.saveCodeVerifier(state, 'verifier123')
+        .then(() => auth.exchangeCode(codeResponse(tokenEndpoint, state)))
+        .then(response => {
+          expect(auth.fetchImpl).to.have.been.calledTwice()
+          expect(proofClaims(auth.fetchImpl.secondCall).nonce).to.equal('nonce1')
+          expect(response.params.access_token).to.equal('access.token')
+        })
+    })
+
+    it('should reject an access token that is not DPoP-bound', () => {
+      auth.fetchImpl = sinon.stub()
+        .resolves(httpResponse(200, Object.assign({}, tokens, { token_type: 'Bearer' })))
+
+      return auth.saveCodeVerifier(state, 'verifier123')
+        .then(() => expect(auth.exchangeCode(codeResponse(tokenEndpoint, state)))
+          .to.be.rejectedWith(/not DPoP-bound/))
+    })
+
+    describe('with a DPoP session', () => {
+      beforeEach(() => {
+        return auth.createSessionKey()
+          .then(sessionKey => {
+            auth.session = {
+              tokenType: 'DPoP',
+              sessionKey: sessionKey.sessionKey,
+              authorization: { client_id: 'client123', access_token: 'access.token' }
+            }
+          })
+      })
+
+      it('should create a proof bound to the access token', () => {
+        return auth.createDPoPProof('GET', resourceUri)
+          .then(proof => {
+            const claims = JSON.parse(Buffer.from(proof.split('.')[1], 'base64'))
+            expect(claims.htm).to.equal('GET')
+            expect(claims.htu).to.equal('https://alice.example.com/private/data.ttl')
+            expect(claims.ath).to.exist()
+          })
+      })
+
+      it('should reject without a DPoP session', () => {
+        return expect(auth.createDPoPProof('GET', resourceUri, {}))
+          .to.be.rejectedWith(/no DPoP session/)
+      })
+
+      it('should not issue PoP tokens', () => {
+        return expect(auth.issuePoPTokenFor(resourceUri, auth.session))
+          .to.be.rejectedWith(/use createDPoPProof/)
+      })
+
+      it('should fetch with the access token and a DPoP proof', () => {
+        auth.fetchImpl = sinon.stub().resolves(httpResponse(200))
+
+        return auth.fetch(resourceUri, { method: 'PUT' })
+          .then(response => {
+            expect(response.status).to.equal(200)
+
+            const init = auth.fetchImpl.firstCall.args[1]
+            expect(init.headers.get('Authorization')).to.equal('DPoP access.token')
+            expect(proofClaims(auth.fetchImpl.firstCall).htm).to.equal('PUT')
+          })
+      })
+
+      it('should retry a request with the nonce the server asks for', () => {
+        auth.fetchImpl = sinon.stub()
+        auth.fetchImpl.onFirstCall().resolves(httpResponse(401, {}, { 'dpop-nonce': 'nonce2' }))
+        auth.fetchImpl.onSecondCall().resolves(httpResponse(200))
+
+        return auth.fetch(resourceUri)
+          .then(response => {
+            expect(response.status).to.equal(200)
+            expect(proofClaims(auth.fetchImpl.secondCall).nonce).to.equal('nonce2')
+          })
+      })
+    })
+  })
+
+  describe('multiple sessions', () => {
+    const aliceWebId = 'https://alice.example.com/'
+    const bobWebId = 'https://bob.example.com/'
+    var mockClient
+
+    // Tokens and keys tell the users' sessions apart
+    function authResponse (webId) {
+      return sessionResponse(providerUri, webId, {
+        sessionKey: `${webId}.session.key`,
+        authorization: {
+          id_token: `${webId}.id.token`,
+          access_token: `${webId}.access.token`
+        }
+      })
+    }
+
+    beforeEach(() => {
+      mockClient = sessionClient(providerUri,
+        authResponse(aliceWebId), authResponse(bobWebId))
+      skipWebIdValidation(auth)
+
+      return auth.initUserFromResponse(mockClient)
+        .then(() => auth.initUserFromResponse(mockClient))
+    })
+
+    it('should keep the other sessions when another user logs in', () => {
+      expect(auth.webId).to.equal(bobWebId)
+
+      return auth.listSessions()
+        .then(sessions => {
+          expect(sessions.map(({ webId, providerUri, current }) =>
+            ({ webId, providerUri, current }))).to.eql([
+            { webId: aliceWebId, providerUri, current: false },
+            { webId: bobWebId, providerUri, current: true }
+          ])
+        })
+    })
+
+    it('should switch the current session', () => {
+      const onSwitched = sinon.stub()
+      auth.on('sessionSwitched', onSwitched)
+      auth.loadClient = sinon.stub().resolves(mockClient)
+
+      return auth.switchSession(aliceWebId)
+        .then(webId => {
+          expect(webId).to.equal(aliceWebId)
+          expect(auth.webId).to.equal(aliceWebId)
+          expect(auth.accessToken).to.equal(`${aliceWebId}.access.token`)
+          expect(auth.session.sessionKey).to.equal(`${aliceWebId}.session.key`)
+          expect(onSwitched).to.have.been.calledWith(aliceWebId)
+        })
+    })
+
+    it('should reject switching to a user without a saved session', () => {
+      return expect(auth.switchSession('https://mallory.example.com/'))
+        .to.be.rejectedWith(/No saved session/)
+    })
+
+    it('should keep the current user if the other session has expired', () => {
+      const onExpired = sinon.stub()
+      auth.on('sessionExpired', onExpired)
+      auth.loadClient = sinon.stub().resolves(mockClient)
+
+      const aliceKey = auth.keyForSession(aliceWebId)
+      const saved = JSON.parse(localStorage.getItem(aliceKey))
+      saved.session.expiresAt = Date.now() - 1000
+      localStorage.setItem(aliceKey, JSON.stringify(saved))
+
+      return expect(auth.switchSession(aliceWebId))
+        .to.be.rejectedWith(/Saved session has expired/)
+        .then(() => {
+          expect(onExpired).to.have.been.calledWith(aliceWebId)
+          expect(auth.webId).to.equal(bobWebId)
+          expect(auth.accessToken).to.equal(`${bobWebId}.access.token`)
+          expect(localStorage.getItem(aliceKey)).to.not.exist()
+
+          return auth.currentUser()
+        })
+        .then(webId => {
+          expect(webId).to.equal(bobWebId)
+
+          auth = new SolidAuthOIDC({ window: { location: {} }, store: localStorage })
+          auth.loadClient = sinon.stub().resolves(mockClient)
+
+          return auth.restoreSession()
+        })
+        .then(webId => {
+          expect(webId).to.equal(bobWebId)
+        })
+    })
+
+    it('should restore the current session after a reload', () => {
+      auth = new SolidAuthOIDC({ window: { location: {} }, store: localStorage })
+      auth.loadClient = sinon.stub().resolves(mockClient)
+
+      return auth.restoreSession()
+        .then(webId => {
+          expect(webId).to.equal(bobWebId)
+
+          return auth.listSessions()
+        })
+        .then(sessions => {
+          expect(sessions).to.have.length(2)
+        })
+    })
+
+    it('should log out another user without affecting the current one', () => {
+      const onLogout = sinon.stub()
+      auth.on('logout', onLogout)
+      auth.redirectTo = sinon.stub()
+
+      return auth.logout(aliceWebId)
+        .then(() => {
+          expect(onLogout).to.have.been.calledWith(aliceWebId)
+          expect(auth.webId).to.equal(bobWebId)
+          expect(auth.redirectTo).to.not.have.been.called()
+
+          return auth.listSessions()
+        })
+        .then(sessions => {
+          expect(sessions.map(session => session.webId)).to.eql([bobWebId])
+        })
+    })
+
+    it('should fetch as another logged in user', () => {
+      auth.fetchImpl = sinon.stub().resolves({ status: 200 })
+      auth.issuePoPTokenFor = sinon.stub().resolves('pop.token')
+
+      return auth.fetchAs(aliceWebId, 'https://alice.example.com/private')
+        .then(() => {
+          const session = auth.issuePoPTokenFor.firstCall.args[1]
+          expect(session.sessionKey).to.equal(`${aliceWebId}.session.key`)
+          expect(auth.webId).to.equal(bobWebId)
+        })
+    })
+
+    it('should reject fetching as a user without a saved session', () => {
+      return expect(auth.fetchAs('https://mallory.example.com/', 'https://rs.com/'))
+        .to.be.rejectedWith(/No saved session/)
+    })
+  })
+
+  describe('loginWithClientCredentials()', () => {
+    const botWebId = 'https://bot.example.com/profile/card#me'
+    const tokenEndpoint = `${providerUri}/token`
+    const jwksUri = `${providerUri}/jwks`
+    var providerKeys
+
+    before(() => {
+      return AuthenticationRequest.generateSessionKeys()
+        .then(keys => {
+          providerKeys = {
+            public: Object.assign({ alg: 'RS256', kid: 'provider-key' }, keys.public),
+            private: Object.assign({ alg: 'RS256', kid: 'provider-key' }, keys.private)
+          }
+        })
+    })
+
+    function signIdToken (claims) {
+      const iat = Math.floor(Date.now() / 1000)
+      const payload = Object.assign({
+        iss: providerUri, aud: 'bot', sub: botWebId, iat, exp: iat + 3600
+      }, claims)
+
+      return JWK.importKey(providerKeys.private)
+        .then(key => new JWT({
+          header: { alg: 'RS256', kid: 'provider-key' },
+          payload,
+          key: key.cryptoKey
+        }, { filter: false }).encode())
+    }
+
+    // A mock provider (and WebID profile host), serving fetch() requests
+    function mockProvider (tokenRequestHandler) {
+      return sinon.spy((url, options = {}) => {
+        switch (url) {
+          case `${providerUri}/.well-known/openid-configuration`:
+            return Promise.resolve(httpResponse(200, {
+              issuer: providerUri, token_endpoint: tokenEndpoint, jwks_uri: jwksUri
+            }))
+          case jwksUri:
+            return Promise.resolve(httpResponse(200, { keys: [providerKeys.public] }))
+          case tokenEndpoint:
+            return tokenRequestHandler(options)
+          default:
+            return webIdProfileFetch(botWebId, providerUri)(url, options)
+        }
+      })
+    }
+
+    beforeEach(() => {
+      // As in Node.js, without a window or localStorage
+      auth = new SolidAuthOIDC()
+    })
+
+    it('should log in with a client secret, without a window', () => {
+      const onLogin = sinon.stub()
+      auth.on('login', onLogin)
+      auth.fetchImpl = mockProvider(options => {
+        const params = new URLSearchParams(options.body)
+        expect(params.get('grant_type')).to.equal('client_credentials')
+        expect(JSON.parse(params.get('key')).kty).to.equal('RSA')
+        expect(options.headers.Authorization)
+          .to.equal(`Basic ${Buffer.from('bot:s3cr3t').toString('base64')}`)
+
+        return signIdToken()
+          .then(idToken => httpResponse(200, {
+            access_token: 'access.token', id_token: idToken, expires_in: 3600
+          }))
+      })
+
+      return auth.loginWithClientCredentials({
+        providerUri, clientId: 'bot', clientSecret: 's3cr3t'
+      })
+        .then(webId => {
+          expect(webId).to.equal(botWebId)
+          expect(auth.webId).to.equal(botWebId)
+          expect(auth.accessToken).to.equal('access.token')
+          expect(auth.session.expiresAt).to.be.above(Date.now())
+          expect(auth.window).to.not.exist()
+          expect(onLogin).to.have.been.calledWith(botWebId)
+
+          return auth.issuePoPTokenFor('https://rs.example.com/data', auth.session)
+        })
+        .then(popToken => {
+          const jwt = JWT.decode(popToken)
+          expect(jwt.payload.iss).to.equal('bot')
+          expect(jwt.payload.aud).to.equal('https://rs.example.com')
+        })
+    })
+
+    it('should log in with a private key client assertion', () => {
+      auth.fetchImpl = mockProvider(options => {
+        const params = new URLSearchParams(options.body)
+        expect(params.get('client_assertion_type'))
+          .to.equal('urn:ietf:params:oauth:client-assertion-type:jwt-bearer')
+        expect(JWT.decode(params.get('client_assertion')).payload.aud)
+          .to.equal(tokenEndpoint)
+        expect(options.headers.Authorization).to.not.exist()
+
+        return signIdToken()
+          .then(idToken => httpResponse(200, { access_token: 'access.token', id_token: idToken }))
+      })
+
+      return AuthenticationRequest.generateSessionKeys()
+        .then(clientKeys => auth.loginWithClientCredentials({
+          providerUri, clientId: 'bot', privateKey: clientKeys.private
+        }))
+        .then(webId => {
+          expect(webId).to.equal(botWebId)
+        })
+    })
+
+    it('should reject if the provider rejects the credentials', () => {
+      auth.fetchImpl = mockProvider(() => Promise.resolve(httpResponse(401)))
+
+      return expect(auth.loginWithClientCredentials({
+        providerUri, clientId: 'bot', clientSecret: 'wrong'
+      })).to.be.rejectedWith(/Error requesting client credentials tokens: 401/)
+    })
+
+    it('should reject an ID Token from another issuer', () => {
+      auth.fetchImpl = mockProvider(() => signIdToken({ iss: 'https://evil.example.com' })
+        .then(idToken => httpResponse(200, { access_token: 'access.token', id_token: idToken })))
+
+      return expect(auth.loginWithClientCredentials({
+        providerUri, clientId: 'bot', clientSecret: 's3cr3t'
+      })).to.be.rejectedWith(/Mismatching issuer/)
+    })
+
+    describe('with DPoP', () => {
+      // A DPoP-bound access token for the bot, signed by the provider and
+      // bound to the key of the token request's proof
+      function signAccessToken (proof, claims) {
+        const { jwk } = JSON.parse(Buffer.from(proof.split('.')[0], 'base64'))
+
+        return dpop.jwkThumbprint(jwk)
+          .then(jkt => signIdToken(Object.assign({
+            aud: 'solid', webid: botWebId, client_id: 'bot', cnf: { jkt }
+          }, claims)))
+      }
+
+      beforeEach(() => {
+        auth = new SolidAuthOIDC({ dpop: true })
+      })
+
+      it('should log in with a DPoP-bound access token, without an ID Token', () => {
+        auth.fetchImpl = mockProvider(options => {
+          expect(options.headers.DPoP).to.exist()
+          expect(new URLSearchParams(options.body).get('key')).to.not.exist()
+
+          return signAccessToken(options.headers.DPoP)
+            .then(accessToken => httpResponse(200, {
+              access_token: accessToken, token_type: 'DPoP', expires_in: 3600
+            }))
+        })
+
+        return auth.loginWithClientCredentials({
+          providerUri, clientId: 'bot', clientSecret: 's3cr3t'
+        })
+          .then(webId => {
+            expect(webId).to.equal(botWebId)
+            expect(auth.idToken).to.be.null()
+            expect(auth.session.idClaims.webid).to.equal(botWebId)
+            expect(auth.session.tokenType).to.equal('DPoP')
+          })
+      })
+
+      it('should reject an access token bound to another key', () => {
+        auth.fetchImpl = mockProvider(() => signIdToken({ webid: botWebId, cnf: { jkt: 'other' } })
+          .then(accessToken => httpResponse(200, { access_token: accessToken, token_type: 'DPoP' })))
+
+        return expect(auth.loginWithClientCredentials({
+          providerUri, clientId: 'bot', clientSecret: 's3cr3t'
+        })).to.be.rejectedWith(SolidAuthOIDC.TokenValidationError, /not bound to the session key/)
+      })
+
+      it('should reject an access token from another issuer', () => {
+        auth.fetchImpl = mockProvider(options => signAccessToken(options.headers.DPoP, { iss: 'https://evil.example.com' })
+          .then(accessToken => httpResponse(200, { access_token: accessToken, token_type: 'DPoP' })))
+
+        return expect(auth.loginWithClientCredentials({
+          providerUri, clientId: 'bot', clientSecret: 's3cr3t'
+        })).to.be.rejectedWith(SolidAuthOIDC.TokenValidationError, /Mismatching issuer/)
+      })
+    })
+
+    it('should require the client credentials', () => {
+      return expect(auth.loginWithClientCredentials({ providerUri, clientId: 'bot' }))
+        .to.be.rejectedWith(/clientSecret or privateKey are required/)
+    })
+
+    it('should log in again to extend the session', () => {
+      auth.clientCredentials = { providerUri, clientId: 'bot', clientSecret: 's3cr3t' }
+      auth.loginWithClientCredentials = sinon.stub().resolves(botWebId)
+
+      return auth.extendSession()
+        .then(() => {
+          expect(auth.loginWithClientCredentials)
+            .to.have.been.calledWith(auth.clientCredentials)
+        })
+    })
+  })
+
+  describe('cross-tab session sync', () => {
+    const aliceWebId = 'https://alice.example.com/'
+    var mockClient
+
+    // A BroadcastChannel connecting the tabs created in a test
+    function fakeBroadcastChannel () {
+      const channels = []
+
+      return class FakeBroadcastChannel {
+        constructor (name) {
+          this.name = name
+          channels.push(this)
+        }
+
+        postMessage (data) {
+          channels
+            .filter(channel => channel !== this && channel.name === this.name)
+            .forEach(channel => channel.onmessage({ data }))
+        }
+
+        close () {}
+      }
+    }
+
+    function openTab (window) {
+      const tab = new SolidAuthOIDC({ window, store: localStorage })
+      skipWebIdValidation(tab)
+      tab.loadClient = sinon.stub().resolves(mockClient)
+      return tab
+    }
+
+    beforeEach(() => {
+      mockClient = sessionClient(providerUri, sessionResponse(providerUri, aliceWebId))
+    })
+
+    describe('with a BroadcastChannel', () => {
+      var window
+
+      beforeEach(() => {
+        window = { location: {}, BroadcastChannel: fakeBroadcastChannel() }
+      })
+
+      it('should log in the other tabs', () => {
+        const tab = openTab(window)
+        const otherTab = openTab(window)
+        const onLogin = sinon.stub()
+        otherTab.on('login', onLogin)
+
+        return tab.initUserFromResponse(mockClient)
+          .then(() => new Promise(resolve => setImmediate(resolve)))
+          .then(() => {
+            expect(otherTab.webId).to.equal(aliceWebId)
+            expect(otherTab.accessToken).to.equal('access.token')
+            expect(onLogin).to.have.been.calledWith(aliceWebId)
+          })
+      })
+
+      it('should log out the other tabs', () => {
+        const tab = openTab(window)
+        const otherTab = openTab(window)
+        const onLogout = sinon.stub()
+
+        return tab.initUserFromResponse(mockClient)
+          .then(() => new Promise(resolve => setImmediate(resolve)))
+          .then(() => {
+            otherTab.on('logout', onLogout)
+
+            return tab.logout({ localOnly: true })
+          })
+          .then(() => new Promise(resolve => setImmediate(resolve)))
+          .then(() => {
+            expect(otherTab.webId).to.not.exist()
+            expect(otherTab.session).to.not.exist()
+            expect(onLogout).to.have.been.calledWith(aliceWebId)
+          })
+      })
+
+      it('should stop syncing', () => {
+        const tab = openTab(window)
+        const otherTab = openTab(window)
+        otherTab.stopTabSync()
+
+        return tab.initUserFromResponse(mockClient)
+          .then(() => {
+            expect(otherTab.webId).to.not.exist()
+          })
+      })
+    })
+
+    describe('with storage events', () => {
+      var onStorage, window
+
+      beforeEach(() => {
+        onStorage = null
+        window = {
+          location: {},
+          localStorage,
+          addEventListener: (type, listener) => { onStorage = listener }
+        }
+      })
+
+      it('should log in the other tabs', () => {
+        const tab = openTab({
+          location: {}, localStorage, addEventListener: sinon.stub()
+        })
+        const otherTab = openTab(window)
+
+        return tab.initUserFromResponse(mockClient)
+          .then(() => {
+            // As the browser would, in the other tab
+            onStorage({
+              key: 'oidc.rp.sync',
+              newValue: localStorage.getItem('oidc.rp.sync')
+            })
+          })
+          .then(() => new Promise(resolve => setImmediate(resolve)))
+          .then(() => {
+            expect(otherTab.webId).to.equal(aliceWebId)
+          })
+      })
+
+      it('should write the signal to localStorage, whatever the store', () => {
+        const store = new SolidAuthOIDC.MemoryStorage()
+        const tab = new SolidAuthOIDC({ window, store })
+        skipWebIdValidation(tab)
+        localStorage.removeItem('oidc.rp.sync')
+
+        return tab.initUserFromResponse(mockClient)
+          .then(() => {
+            expect(JSON.parse(localStorage.getItem('oidc.rp.sync')))
+              .to.include({ type: 'login', webId: aliceWebId })
+            expect(store.items.has('oidc.rp.sync')).to.be.false()
+          })
+      })
+
+      it('should ignore malformed signals', () => {
+        const otherTab = openTab(window)
+        otherTab.onSessionBroadcast = sinon.stub()
+
+        onStorage({ key: 'oidc.rp.sync', newValue: '{not json' })
+
+        expect(otherTab.onSessionBroadcast).to.not.have.been.called()
+      })
+
+      it('should not sync tabs without localStorage', () => {
+        const tab = openTab({ location: {}, addEventListener: sinon.stub() })
+
+        expect(tab.syncStorageListener).to.not.exist()
+      })
+    })
+
+    it('should not sync tabs if disabled', () => {
+      const window = { location: {}, BroadcastChannel: fakeBroadcastChannel() }
+      auth = new SolidAuthOIDC({ window, store: localStorage, syncTabs: false })
+
+      expect(auth.syncChannel).to.not.exist()
+    })
+
+    describe('refresh lock', () => {
+      const tokenEndpoint = 'https://provider.example.com/token'
+
+      beforeEach(() => {
+        mockClient.provider.configuration = { token_endpoint: tokenEndpoint }
+        mockClient.registration = { client_id: 'client123' }
+      })
+
+      function loggedInTab () {
+        const tab = openTab({ location: {} })
+        tab.fetchImpl = sinon.stub().resolves({
+          ok: true,
+          json: () => Promise.resolve({
+            access_token: 'new.access.token', refresh_token: 'refresh2', expires_in: 3600
+          })
+        })
+        return tab.restoreSession().then(() => tab)
+      }
+
+      beforeEach(() => {
+        return openTab({ location: {} }).initUserFromResponse(mockClient)
+          .then(() => {
+            localStorage.setItem(`oidc.rp.refresh-token.${aliceWebId}`, 'refresh1')
+          })
+      })
+
+      it('should not refresh in two tabs at once', () => {
+        return Promise.all([loggedInTab(), loggedInTab()])
+          .then(([tab, otherTab]) => {
+            return Promise.all([tab.refreshSession(), otherTab.refreshSession()])
+              .then(() => {
+                expect(tab.fetchImpl.callCount + otherTab.fetchImpl.callCount)
+                  .to.equal(1)
+                expect(tab.accessToken).to.equal('new.access.token')
+                expect(otherTab.accessToken).to.equal('new.access.token')
+              })
+          })
+      })
+
+      it('should use the Web Locks API if available', () => {
+        const locks = { request: sinon.spy((name, callback) => callback()) }
+
+        return loggedInTab()
+          .then(tab => {
+            tab.window.navigator = { locks }
+
+            return tab.refreshSession()
+          })
+          .then(() => {
+            expect(locks.request).to.have.been.calledWith('solid-auth-oidc-refresh')
+          })
+      })
+    })
+  })
+
+  describe('session events', () => {
+    const aliceWebId = 'https://alice.example.com/'
+    var mockClient
+
+    beforeEach(() => {
+      mockClient = {
+        provider: { url: providerUri, configuration: { issuer: providerUri } },
+        validateResponse: sinon.stub().resolves({
+          idClaims: { sub: aliceWebId },
+          authorization: { id_token: 'id.token', access_token: 'access.token' }
+        })
+      }
+      skipWebIdValidation(auth)
+    })
+
+    it('should emit login after a successful auth response', () => {
+      const onLogin = sinon.stub()
+      auth.on('login', onLogin)
+
+      return auth.initUserFromResponse(mockClient)
+        .then(() => {
+          expect(onLogin).to.have.been.calledWith(aliceWebId)
+        })
+    })
+
+    it('should emit tokenRefreshed after a silent renewal', () => {
+      const onLogin = sinon.stub()
+      const onTokenRefreshed = sinon.stub()
+      auth.on('login', onLogin)
+      auth.on('tokenRefreshed', onTokenRefreshed)
+      auth.webId = aliceWebId
+
+      return auth.initUserFromResponse(mockClient, 'https://rp.com/#state=abcd')
+        .then(() => {
+          expect(onLogin).to.not.have.been.called()
+          expect(onTokenRefreshed).to.have.been.calledWith(auth.session)
+        })
+    })
+
+    it('should emit error when the auth response is invalid', () => {
+      const error = new Error('Mismatching state parameter')
+      const onError = sinon.stub()
+      auth.on('error', onError)
+      mockClient.validateResponse = sinon.stub().rejects(error)
+
+      return expect(auth.initUserFromResponse(mockClient))
+        .to.be.rejectedWith(SolidAuthOIDC.StateMismatchError, 'Mismatching state parameter')
+        .then(() => {
+          const emitted = onError.firstCall.args[0]
+          expect(emitted).to.be.an.instanceof(SolidAuthOIDC.StateMismatchError)
+          expect(emitted.cause).to.equal(error)
+        })
+    })
+
+    it('should not throw on errors when there are no error listeners', () => {
+      mockClient.validateResponse = sinon.stub().rejects(new Error('Invalid'))
+
+      return expect(auth.initUserFromResponse(mockClient))
+        .to.be.rejectedWith(/Invalid/)
+    })
+
+    it('should emit logout when the current user is cleared', () => {
+      const onLogout = sinon.stub()
+      auth.on('logout', onLogout)
+
+      return auth.clearCurrentUser()
+        .then(() => {
+          expect(onLogout).to.not.have.been.called()
+
+          auth.webId = aliceWebId
+          return auth.logout()
+        })
+        .then(() => {
+          expect(onLogout).to.have.been.calledWith(aliceWebId)
+        })
+    })
+
+    it('should emit sessionRestored when a saved session is restored', () => {
+      const onRestored = sinon.stub()
+
+      return auth.initUserFromResponse(mockClient)
+        .then(() => {
+          auth = new SolidAuthOIDC({ window: { location: {} }, store: localStorage })
+          auth.loadClient = sinon.stub().resolves(mockClient)
+          auth.on('sessionRestored', onRestored)
+
+          return auth.restoreSession()
+        })
+        .then(() => {
+          expect(onRestored).to.have.been.calledWith(aliceWebId)
+        })
+    })
+
+    it('should emit sessionExpired when a saved session has expired', () => {
+      const onExpired = sinon.stub()
+      const onLogout = sinon.stub()
+      mockClient.validateResponse = sinon.stub().resolves({
+        idClaims: { sub: aliceWebId, exp: Math.floor(Date.now() / 1000) - 60 },
+        authorization: { id_token: 'id.token', access_token: 'access.token' }
+      })
+
+      return auth.initUserFromResponse(mockClient)
+        .then(() => {
+          auth = new SolidAuthOIDC({ window: { location: {} }, store: localStorage })
+          auth.loadClient = sinon.stub().resolves(mockClient)
+          auth.on('sessionExpired', onExpired)
+          auth.on('logout', onLogout)
+
+          return auth.restoreSession()
+        })
+        .then(() => {
+          expect(onExpired).to.have.been.calledWith(aliceWebId)
+          expect(onLogout).to.not.have.been.called()
+        })
+    })
+
+    it('should emit sessionExpired when a renewal fails and the session expires', () => {
+      const clock = sinon.useFakeTimers(Date.now())
+      const onExpired = sinon.stub()
+      const onError = sinon.stub()
+      auth.on('sessionExpired', onExpired)
+      auth.on('error', onError)
+      auth.webId = aliceWebId
+      auth.session = {
+        idClaims: { exp: Math.floor(Date.now() / 1000) + 3600 }
+      }
+      auth.extendSession = sinon.stub().rejects(new Error('login_required'))
+
+      auth.scheduleSessionRenewal()
+      clock.tick(3540 * 1000)
+
+      return Promise.resolve()
+        .then(() => Promise.resolve())
+        .then(() => {
+          expect(onError).to.have.been.called()
+          expect(onExpired).to.not.have.been.called()
+
+          return clock.tickAsync(60 * 1000)
+        })
+        .then(() => {
+          expect(onExpired).to.have.been.calledWith(aliceWebId)
+          expect(auth.webId).to.not.exist()
+        })
+        .finally(() => clock.restore())
+    })
+
+    it('should emit an error if expiring the session fails', () => {
+      const clock = sinon.useFakeTimers(Date.now())
+      const onError = sinon.stub()
+      const storeError = new Error('Store unavailable')
+      auth.on('error', onError)
+      auth.webId = aliceWebId
+      auth.session = {
+        idClaims: { exp: Math.floor(Date.now() / 1000) + 3600 }
+      }
+      auth.extendSession = sinon.stub().rejects(new Error('login_required'))
+      auth.resetCurrentUser = sinon.stub().rejects(storeError)
+
+      auth.scheduleSessionRenewal()
+
+      return clock.tickAsync(3600 * 1000)
+        .then(() => {
+          expect(onError).to.have.been.calledWith(storeError)
+        })
+        .finally(() => clock.restore())
+    })
+  })
+
+  describe('registerPublicClient()', () => {
+    beforeEach(() => {
+      stubRegistration()
+    })
+
+    afterEach(() => {
+      restoreRegistration()
+    })
+
+    it('should register for the implicit flow by default', () => {
+      return auth.registerPublicClient(providerUri, { redirectUri: 'https://rp.com' })
+        .then(client => {
+          const [registration] = RelyingParty.prototype.register.firstCall.args
+          expect(client.provider.url).to.equal(providerUri)
+          expect(registration.grant_types).to.eql(['implicit'])
+          expect(registration.response_types).to.eql(['id_token token'])
+          expect(client.defaults.authenticate.response_type)
+            .to.equal('id_token token')
+        })
+    })
+
+    it('should register a public client for the code flow', () => {
+      auth.flow = 'authorization_code'
+
+      return auth.registerPublicClient(providerUri, { redirectUri: 'https://rp.com' })
+        .then(client => {
+          const [registration] = RelyingParty.prototype.register.firstCall.args
+          expect(registration.grant_types)
+            .to.eql(['authorization_code', 'refresh_token'])
+          expect(registration.response_types).to.eql(['code'])
+          expect(registration.token_endpoint_auth_method).to.equal('none')
+          expect(client.defaults.authenticate.response_type).to.equal('code')
+        })
+    })
+
+    it('should reject with a ProviderDiscoveryError if discovery fails', () => {
+      RelyingParty.prototype.discover
+        .rejects(new Error('Error fetching openid configuration'))
+
+      return expect(auth.registerPublicClient(providerUri))
+        .to.be.rejectedWith(SolidAuthOIDC.ProviderDiscoveryError,
+          /Could not discover provider https:\/\/provider.example.com/)
+        .then(() => {
+          expect(RelyingParty.prototype.register).to.not.have.been.called()
+        })
+    })
+
+    it('should reject with a RegistrationError if the registration fails', () => {
+      RelyingParty.prototype.register
+        .rejects(new Error('Error registering client'))
+
+      return expect(auth.registerPublicClient(providerUri))
+        .to.be.rejectedWith(SolidAuthOIDC.RegistrationError,
+          /Could not register client with https:\/\/provider.example.com/)
+    })
+  })
+
+  describe('fixed redirect uri', () => {
+    beforeEach(() => {
+      auth = new SolidAuthOIDC({
+        window: { location: { href: 'https://app.example.com/notes/1' } },
+        store: localStorage,
+        redirectUri: 'https://app.example.com/callback'
+      })
+    })
+
+    afterEach(() => {
+      restoreRegistration()
+    })
+
+    it('should register the fixed redirect uri, not the current page', () => {
+      stubRegistration()
+
+      return auth.registerPublicClient(providerUri)
+        .then(client => {
+          const [registration] = RelyingParty.prototype.register.firstCall.args
+          expect(registration.redirect_uris).to.eql(['https://app.example.com/callback'])
+          expect(client.defaults.authenticate.redirect_uri)
+            .to.equal('https://app.example.com/callback')
+        })
+    })
+
+    it('should purge a stored client registered for another redirect uri', () => {
+      const storedClient = {
+        provider: { url: providerUri, configuration: {} },
+        registration: { redirect_uris: ['https://app.example.com/notes/1'] }
+      }
+      const newClient = { provider: { url: providerUri } }
+      localStorage.setItem(auth.keyByProvider(providerUri), '{}')
+      auth.loadClient = sinon.stub().resolves(storedClient)
+      auth.revalidateClient = sinon.stub().resolves(storedClient)
+      auth.registerClient = sinon.stub().resolves(newClient)
+
+      return auth.loadOrRegisterClient(providerUri)
+        .then(client => {
+          expect(client).to.equal(newClient)
+          expect(localStorage.getItem(auth.keyByProvider(providerUri))).to.not.exist()
+        })
+    })
+
+    it('should keep a stored client registered for the redirect uri', () => {
+      const storedClient = {
+        provider: { url: providerUri, configuration: {} },
+        registration: { redirect_uris: ['https://app.example.com/callback'] }
+      }
+      auth.loadClient = sinon.stub().resolves(storedClient)
+      auth.revalidateClient = sinon.stub().resolves(storedClient)
+      auth.registerClient = sinon.stub()
+
+      return auth.loadOrRegisterClient(providerUri)
+        .then(client => {
+          expect(client).to.equal(storedClient)
+          expect(auth.registerClient).to.not.have.been.called()
+        })
+    })
+  })
+
+  describe('exchangeCode()', () => {
+    const tokenEndpoint = 'https://provider.example.com/token'
+    const state = 'abcd'
+
+    it('should exchange the code using the stored code verifier', () => {
+      const tokens = { id_token: 'id.token', access_token: 'access.token' }
+      auth.fetchImpl = sinon.stub()
+        .resolves({ ok: true, json: () => Promise.resolve(tokens) })
+
+      return auth.saveCodeVerifier(state, 'verifier123')
+        .then(() => auth.exchangeCode(codeResponse(tokenEndpoint, state)))
+        .then(response => {
+          const [url, options] = auth.fetchImpl.firstCall.args
+          const body = new URLSearchParams(options.body)
+          expect(url).to.equal(tokenEndpoint)
+          expect(body.get('grant_type')).to.equal('authorization_code')
+          expect(body.get('code')).to.equal('code123')
+          expect(body.get('client_id')).to.equal('client123')
+          expect(body.get('code_verifier')).to.equal('verifier123')
+          expect(body.get('redirect_uri')).to.equal('https://rp.com/callback')
+
+          expect(response.params.id_token).to.equal('id.token')
+          expect(response.params.access_token).to.equal('access.token')
+
+          // the code verifier is single use
+          return auth.loadCodeVerifier(state)
+        })
+        .then(codeVerifier => {
+          expect(codeVerifier).to.not.exist()
+        })
+    })
+
+    it('should reject if no code verifier was stored', () => {
+      return expect(auth.exchangeCode(codeResponse(tokenEndpoint, state)))
+        .to.be.rejectedWith(/code verifier missing/)
+    })
+
+    it('should reject on a token endpoint error', () => {
+      auth.fetchImpl = sinon.stub().resolves({ ok: false, status: 400 })
+
+      return auth.saveCodeVerifier(state, 'verifier123')
+        .then(() => expect(auth.exchangeCode(codeResponse(tokenEndpoint, state)))
+          .to.be.rejectedWith(/Error exchanging authorization code: 400/))
+    })
+
+    it('should reject with the OAuth error of the token endpoint', () => {
+      auth.fetchImpl = sinon.stub().resolves({
+        ok: false,
+        status: 400,
+        json: sinon.stub().resolves({
+          error: 'invalid_grant',
+          error_description: 'The code has expired'
+        })
+      })
+
+      return auth.saveCodeVerifier(state, 'verifier123')
+        .then(() => auth.exchangeCode(codeResponse(tokenEndpoint, state)))
+        .then(() => { throw new Error('Expected a rejection') })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(SolidAuthOIDC.AuthResponseError)
+          expect(error.message)
+            .to.equal('Error exchanging authorization code: 400 invalid_grant')
+          expect(error.status).to.equal(400)
+          expect(error.error).to.equal('invalid_grant')
+          expect(error.errorDescription).to.equal('The code has expired')
+        })
+    })
+  })
+
+  describe('currentUser()', () => {
+    it('should return cached webId if present', () => {
+      const aliceWebId = 'https://alice.example.com'
+      auth.webId = aliceWebId
+
+      expect(auth.currentUser()).to.eventually.equal(aliceWebId)
+    })
 
     it('should return null if no cached webId and no current state param', () => {
       expect(auth.currentUser()).to.eventually.not.exist()
@@ -375,14 +3262,14 @@ describe('SolidAuthOIDC', () => {
     it('should automatically login if current uri has state param', () => {
       const state = 'abcd'
       const providerUri = 'https://provider.example.com'
-      auth.saveProviderByState(state, providerUri)
 
       auth.window.location.href = `https://client-app.example.com#state=${state}`
       const aliceWebId = 'https://alice.example.com/'
       const loginStub = sinon.stub().resolves(aliceWebId)
       auth.login = loginStub
 
-      return auth.currentUser()
+      return auth.saveProviderByState(state, providerUri)
+        .then(() => auth.currentUser())
         .then(webId => {
           expect(webId).to.equal(aliceWebId)
           expect(loginStub).to.have.been.calledWith(providerUri)
@@ -390,6 +3277,45 @@ describe('SolidAuthOIDC', () => {
     })
   })
 
+  describe('currentUser() with an error response', () => {
+    const state = 'abcd'
+
+    beforeEach(() => {
+      auth = new SolidAuthOIDC({
+        window: {
+          location: {
+            href: `https://client-app.example.com/?page=1&error=access_denied&error_description=Denied&state=${state}`
+          },
+          history: { replaceState: sinon.stub() }
+        },
+        store: localStorage,
+        flow: 'authorization_code'
+      })
+      sinon.stub(auth, 'loadOrRegisterClient').resolves({
+        provider: { url: providerUri, configuration: { issuer: providerUri } }
+      })
+
+      return auth.saveProviderByState(state, providerUri)
+    })
+
+    it('should reject with the OAuth error, and clean up the url', () => {
+      return auth.currentUser()
+        .then(() => { throw new Error('Expected a rejection') })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(SolidAuthOIDC.AuthResponseError)
+          expect(error.error).to.equal('access_denied')
+          expect(error.errorDescription).to.equal('Denied')
+          expect(auth.window.history.replaceState.firstCall.args[2])
+            .to.equal('https://client-app.example.com/?page=1')
+
+          return auth.loadProvider(state)
+        })
+        .then(loadedProviderUri => {
+          expect(loadedProviderUri).to.not.exist()
+        })
+    })
+  })
+
   describe('providerEndSessionEndpoint()', () => {
     it('should return null if no current client', () => {
       auth.currentClient = null
@@ -474,6 +3400,39 @@ describe('SolidAuthOIDC', () => {
     })
   })
 
+  describe('clearAuthResponseFromUrl() in the code flow', () => {
+    it('should remove the auth response params from the query', () => {
+      auth.flow = 'authorization_code'
+      auth.window.location.href = 'https://rp.com/app?page=2&code=123&state=abcd'
+      auth.replaceCurrentUrl = sinon.stub()
+
+      auth.clearAuthResponseFromUrl()
+
+      expect(auth.replaceCurrentUrl)
+        .to.have.been.calledWith('https://rp.com/app?page=2')
+    })
+  })
+
+  describe('currentUriHasAuthResponse()', () => {
+    it('should look for the state param in the hash for the implicit flow', () => {
+      auth.window.location.href = 'https://rp.com/?state=abcd'
+      expect(auth.currentUriHasAuthResponse()).to.be.false()
+
+      auth.window.location.href = 'https://rp.com/#state=abcd'
+      expect(auth.currentUriHasAuthResponse()).to.be.true()
+    })
+
+    it('should look for the state param in the query for the code flow', () => {
+      auth.flow = 'authorization_code'
+
+      auth.window.location.href = 'https://rp.com/#state=abcd'
+      expect(auth.currentUriHasAuthResponse()).to.be.false()
+
+      auth.window.location.href = 'https://rp.com/?code=123&state=abcd'
+      expect(auth.currentUriHasAuthResponse()).to.be.true()
+    })
+  })
+
   describe('currentLocationNoHash()', () => {
     it('should return null if no current location', () => {
       const auth = new SolidAuthOIDC()
@@ -0,0 +1,46 @@
+'use strict'
+/* global describe, it */
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.use(require('dirty-chai'))
+chai.should()
+
+const expect = chai.expect
+
+const { JWT } = require('@solid/jose')
+const AuthenticationRequest = require('@solid/oidc-rp/src/AuthenticationRequest')
+const clientCredentials = require('../src/client-credentials')
+
+describe('client-credentials', () => {
+  describe('basicAuthorization()', () => {
+    it('should encode the client id and secret as Basic credentials', () => {
+      const authorization = clientCredentials.basicAuthorization('bot', 's3cr3t:')
+
+      expect(authorization).to.equal(
+        `Basic ${Buffer.from('bot:s3cr3t%3A').toString('base64')}`)
+    })
+  })
+
+  describe('createClientAssertion()', () => {
+    it('should sign a client assertion for the token endpoint', () => {
+      const tokenEndpoint = 'https://provider.example.com/token'
+
+      return AuthenticationRequest.generateSessionKeys()
+        .then(keys => clientCredentials.createClientAssertion('bot',
+          tokenEndpoint, Object.assign({ kid: 'key1' }, keys.private)))
+        .then(assertion => {
+          const jwt = JWT.decode(assertion)
+
+          expect(jwt.header.alg).to.equal('RS256')
+          expect(jwt.header.kid).to.equal('key1')
+          expect(jwt.payload.iss).to.equal('bot')
+          expect(jwt.payload.sub).to.equal('bot')
+          expect(jwt.payload.aud).to.equal(tokenEndpoint)
+          expect(jwt.payload.jti).to.exist()
+          expect(jwt.payload.exp).to.be.above(jwt.payload.iat)
+        })
+    })
+  })
+})
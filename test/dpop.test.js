@@ -0,0 +1,89 @@
+'use strict'
+/* global describe, it, before */
+
+global.URL = require('whatwg-url').URL
+global.URLSearchParams = require('whatwg-url').URLSearchParams
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.use(require('dirty-chai'))
+chai.should()
+
+const expect = chai.expect
+
+const { JWT } = require('@solid/jose')
+const dpop = require('../src/dpop')
+const sessionKeys = require('../src/session-keys')
+
+describe('dpop', () => {
+  var key
+
+  before(() => {
+    return sessionKeys.generateSessionKeyPair(dpop.DPOP_ALG)
+      .then(generated => { key = generated })
+  })
+
+  describe('createProof()', () => {
+    it('should sign a proof for the request method and uri', () => {
+      return dpop.createProof(key, 'post', 'https://provider.example.com/token?a=b#c')
+        .then(proof => {
+          const jwt = JWT.decode(proof)
+          const header = JSON.parse(Buffer.from(proof.split('.')[0], 'base64'))
+
+          expect(header.typ).to.equal('dpop+jwt')
+          expect(header.alg).to.equal('ES256')
+          expect(header.jwk).to.eql({
+            kty: 'EC', crv: 'P-256', x: key.publicJwk.x, y: key.publicJwk.y
+          })
+          expect(jwt.payload.htm).to.equal('POST')
+          expect(jwt.payload.htu).to.equal('https://provider.example.com/token')
+          expect(jwt.payload.iat).to.be.a('number')
+          expect(jwt.payload.jti).to.be.a('string')
+          expect(jwt.payload.ath).to.not.exist()
+          expect(jwt.payload.nonce).to.not.exist()
+
+          return JWT.verify(key.keyPair.publicKey, proof)
+        })
+        .then(jwt => {
+          expect(jwt.verified).to.be.true()
+        })
+    })
+
+    it('should include the access token hash and nonce', () => {
+      return dpop.createProof(key, 'GET', 'https://alice.example.com/data', {
+        accessToken: 'access.token', nonce: 'nonce1'
+      })
+        .then(proof => {
+          const { payload } = JWT.decode(proof)
+
+          // base64url(SHA-256('access.token'))
+          expect(payload.ath).to.equal('PSNtqEkMNFiG3pgpLNAoaIClbEqFZjUVl6LZdlwXXBs')
+          expect(payload.nonce).to.equal('nonce1')
+        })
+    })
+  })
+
+  describe('jwkThumbprint()', () => {
+    it('should hash the required members of the key, in order', () => {
+      const { x, y } = key.publicJwk
+      const members = `{"crv":"P-256","kty":"EC","x":"${x}","y":"${y}"}`
+      const expected = require('crypto').createHash('sha256').update(members)
+        .digest('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_')
+
+      return dpop.jwkThumbprint(Object.assign({ alg: 'ES256', key_ops: ['verify'] }, key.publicJwk))
+        .then(thumbprint => {
+          expect(thumbprint).to.equal(expected)
+        })
+    })
+  })
+
+  describe('isDPoPTokenType()', () => {
+    it('should match the DPoP token type, ignoring case', () => {
+      expect(dpop.isDPoPTokenType('DPoP')).to.be.true()
+      expect(dpop.isDPoPTokenType('dpop')).to.be.true()
+      expect(dpop.isDPoPTokenType('Bearer')).to.be.false()
+      expect(dpop.isDPoPTokenType(undefined)).to.be.false()
+    })
+  })
+})
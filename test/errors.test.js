@@ -0,0 +1,78 @@
+'use strict'
+/* global describe, it */
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+chai.should()
+
+const expect = chai.expect
+
+const errors = require('../src/errors')
+
+describe('errors', () => {
+  it('should name errors after their class, and keep their cause', () => {
+    const cause = new Error('Network error')
+    const error = new errors.ProviderDiscoveryError('Could not discover', { cause })
+
+    expect(error).to.be.an.instanceof(errors.SolidAuthError)
+    expect(error).to.be.an.instanceof(Error)
+    expect(error.name).to.equal('ProviderDiscoveryError')
+    expect(error.message).to.equal('Could not discover')
+    expect(error.cause).to.equal(cause)
+  })
+
+  it('should keep the code of popup errors', () => {
+    const error = new errors.PopupError('Login popup window was closed',
+      { code: errors.POPUP_CLOSED })
+
+    expect(error).to.be.an.instanceof(errors.SolidAuthError)
+    expect(error.code).to.equal('popup_closed')
+  })
+
+  describe('fromResponseValidationError()', () => {
+    it('should carry the OAuth error of an error response', () => {
+      const error = new Error('AuthenticationResponse error: access_denied')
+      error.info = {
+        error: 'access_denied',
+        error_description: 'The user denied access',
+        error_uri: 'https://provider.example.com/errors'
+      }
+
+      const typed = errors.fromResponseValidationError(error)
+
+      expect(typed).to.be.an.instanceof(errors.AuthResponseError)
+      expect(typed.error).to.equal('access_denied')
+      expect(typed.errorDescription).to.equal('The user denied access')
+      expect(typed.errorUri).to.equal('https://provider.example.com/errors')
+      expect(typed.cause).to.equal(error)
+    })
+
+    it('should type a state mismatch', () => {
+      const typed = errors.fromResponseValidationError(
+        new Error('Mismatching state parameter in authentication response'))
+
+      expect(typed).to.be.an.instanceof(errors.StateMismatchError)
+    })
+
+    it('should type an unresolvable signing key as a key rotation', () => {
+      const typed = errors.fromResponseValidationError(
+        new Error('Cannot resolve signing key for ID Token'))
+
+      expect(typed).to.be.an.instanceof(errors.TokenValidationError)
+      expect(typed.code).to.equal(errors.SIGNING_KEY_NOT_FOUND)
+    })
+
+    it('should type other ID Token validation failures', () => {
+      const typed = errors.fromResponseValidationError(new Error('Expired ID Token'))
+
+      expect(typed).to.be.an.instanceof(errors.TokenValidationError)
+      expect(typed.code).to.not.exist()
+    })
+
+    it('should pass through errors that are already typed', () => {
+      const error = new errors.WebIdValidationError('Invalid WebID')
+
+      expect(errors.fromResponseValidationError(error)).to.equal(error)
+    })
+  })
+})
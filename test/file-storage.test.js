@@ -0,0 +1,74 @@
+'use strict'
+/* global describe, it, beforeEach, afterEach */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.use(require('dirty-chai'))
+chai.should()
+
+const expect = chai.expect
+
+const FileStorage = require('../src/file-storage')
+
+describe('FileStorage', () => {
+  var dir, filePath, store
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solid-auth-oidc-'))
+    filePath = path.join(dir, 'sessions', 'store.json')
+    store = new FileStorage(filePath)
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should require a file path', () => {
+    expect(() => new FileStorage()).to.throw(/requires a file path/)
+  })
+
+  it('should resolve to null before anything is stored', () => {
+    return expect(store.getItem('key')).to.eventually.be.null()
+  })
+
+  it('should persist items across instances', () => {
+    return store.setItem('key', 'value')
+      .then(() => new FileStorage(filePath).getItem('key'))
+      .then(value => {
+        expect(value).to.equal('value')
+      })
+  })
+
+  it('should only let its owner read the file', () => {
+    return store.setItem('key', 'value')
+      .then(() => {
+        expect(fs.statSync(filePath).mode & 0o777).to.equal(0o600)
+      })
+  })
+
+  it('should apply concurrent changes in order', () => {
+    return Promise.all([
+      store.setItem('a', '1'),
+      store.setItem('b', '2'),
+      store.removeItem('a'),
+      store.setItem('c', '3')
+    ])
+      .then(() => store.keys())
+      .then(keys => {
+        expect(keys).to.eql(['b', 'c'])
+      })
+  })
+
+  it('should reject on an unreadable file', () => {
+    fs.mkdirSync(path.dirname(filePath))
+    fs.writeFileSync(filePath, '{not json')
+
+    return expect(store.getItem('key'))
+      .to.be.rejectedWith(/Invalid storage file/)
+  })
+})
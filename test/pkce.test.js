@@ -0,0 +1,37 @@
+'use strict'
+/* global describe, it */
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+chai.should()
+
+const expect = chai.expect
+
+const pkce = require('../src/pkce')
+
+describe('pkce', () => {
+  describe('generateCodeVerifier()', () => {
+    it('should generate a base64url encoded verifier of valid length', () => {
+      const verifier = pkce.generateCodeVerifier()
+
+      expect(verifier).to.match(/^[A-Za-z0-9_-]{43,128}$/)
+    })
+
+    it('should generate a different verifier each time', () => {
+      expect(pkce.generateCodeVerifier())
+        .to.not.equal(pkce.generateCodeVerifier())
+    })
+  })
+
+  describe('codeChallengeFor()', () => {
+    it('should compute the S256 challenge for a verifier', () => {
+      // Test vector from RFC 7636, Appendix B
+      const verifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'
+
+      return pkce.codeChallengeFor(verifier)
+        .then(challenge => {
+          expect(challenge).to.equal('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM')
+        })
+    })
+  })
+})
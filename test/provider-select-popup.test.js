@@ -0,0 +1,169 @@
+'use strict'
+/* global describe, it */
+
+const chai = require('chai')
+const sinon = require('sinon')
+chai.use(require('sinon-chai'))
+chai.use(require('dirty-chai'))
+chai.should()
+
+const expect = chai.expect
+
+global.URL = require('whatwg-url').URL
+
+const {
+  renderProviderSelectPopup,
+  initProviderSelectPopup,
+  validateProviderUri
+} = require('../src/provider-select-popup')
+
+// A fake of the popup's document, with just the elements (and the API) that
+// `initProviderSelectPopup()` uses
+function popupDocument (providerUris) {
+  function element (attributes = {}) {
+    const element = {
+      style: {},
+      listeners: {},
+      getAttribute: name => attributes[name],
+      addEventListener: (type, listener) => { element.listeners[type] = listener },
+      click: () => element.listeners.click()
+    }
+    return element
+  }
+
+  const providerButtons = providerUris
+    .map(url => element({ 'data-provider-url': url }))
+  const elements = {
+    body: element(),
+    customProviderUri: element(),
+    customProvider: element(),
+    customProviderError: element()
+  }
+
+  return {
+    querySelectorAll: selector => {
+      if (selector === 'body') { return [elements.body] }
+      if (selector === '.provider' || selector === '[data-provider-url]') {
+        return providerButtons
+      }
+      return []
+    },
+    getElementById: id => elements[id],
+    providerButtons,
+    elements
+  }
+}
+
+describe('renderProviderSelectPopup()', () => {
+  it('should render a button for each provider', () => {
+    const source = renderProviderSelectPopup({
+      providers: [
+        { name: 'Provider A', url: 'https://a.example.com' },
+        { name: 'Provider B', url: 'https://b.example.com', icon: 'https://b.example.com/icon.png' }
+      ]
+    })
+
+    expect(source).to.include('data-provider-url="https://a.example.com">Provider A</button>')
+    expect(source).to.include('<img src="https://b.example.com/icon.png" alt="" />Provider B')
+  })
+
+  it('should list recently used providers first, without duplicating them', () => {
+    const source = renderProviderSelectPopup({
+      providers: [
+        { name: 'Provider A', url: 'https://a.example.com' },
+        { name: 'Provider B', url: 'https://b.example.com' }
+      ],
+      recentProviders: ['https://b.example.com']
+    })
+
+    expect(source).to.include('Recently used')
+    expect(source.indexOf('https://b.example.com'))
+      .to.be.below(source.indexOf('https://a.example.com'))
+    expect(source).to.not.include('Provider B')
+  })
+
+  it('should escape provider names and urls', () => {
+    const source = renderProviderSelectPopup({
+      providers: [{ name: '<script>alert(1)</script>', url: 'https://a.example.com/"onclick="x' }]
+    })
+
+    expect(source).to.not.include('<script>alert(1)</script>')
+    expect(source).to.include('&lt;script&gt;alert(1)&lt;/script&gt;')
+    expect(source).to.include('https://a.example.com/&quot;onclick=&quot;x')
+  })
+
+  it('should not load third-party stylesheets', () => {
+    const source = renderProviderSelectPopup({ providers: [] })
+
+    expect(source).to.not.include('<link')
+  })
+
+  it('should have no inline script or style', () => {
+    const source = renderProviderSelectPopup({
+      providers: [{ name: 'Provider A', url: 'https://a.example.com' }]
+    })
+
+    expect(source).to.not.include('<script')
+    expect(source).to.not.include('<style')
+    expect(source).to.not.include('style=')
+  })
+})
+
+describe('initProviderSelectPopup()', () => {
+  it('should style the popup', () => {
+    const document = popupDocument(['https://a.example.com'])
+
+    initProviderSelectPopup(document, sinon.stub())
+
+    expect(document.elements.body.style.fontFamily).to.equal('sans-serif')
+    expect(document.providerButtons[0].style.background).to.equal('#7c4dff')
+  })
+
+  it('should select the provider of the button clicked', () => {
+    const document = popupDocument(['https://a.example.com', 'https://b.example.com'])
+    const onSelect = sinon.stub()
+
+    initProviderSelectPopup(document, onSelect)
+    document.providerButtons[1].click()
+
+    expect(onSelect).to.have.been.calledOnceWith('https://b.example.com')
+  })
+
+  it('should select a valid custom provider', () => {
+    const document = popupDocument([])
+    const onSelect = sinon.stub()
+
+    initProviderSelectPopup(document, onSelect)
+    document.elements.customProviderUri.value = 'https://c.example.com'
+    document.elements.customProvider.click()
+
+    expect(onSelect).to.have.been.calledOnceWith('https://c.example.com')
+    expect(document.elements.customProviderError.textContent).to.equal('')
+  })
+
+  it('should show the error of an invalid custom provider', () => {
+    const document = popupDocument([])
+    const onSelect = sinon.stub()
+
+    initProviderSelectPopup(document, onSelect)
+    document.elements.customProviderUri.value = 'http://c.example.com'
+    document.elements.customProvider.click()
+
+    expect(onSelect).to.not.have.been.called()
+    expect(document.elements.customProviderError.textContent)
+      .to.equal('The provider URL must start with https://')
+  })
+})
+
+describe('validateProviderUri()', () => {
+  it('should accept https and localhost uris', () => {
+    expect(validateProviderUri('https://a.example.com')).to.not.exist()
+    expect(validateProviderUri('http://localhost:8443')).to.not.exist()
+  })
+
+  it('should reject invalid and insecure uris', () => {
+    expect(validateProviderUri('not a url')).to.equal('Please enter a valid provider URL')
+    expect(validateProviderUri('http://a.example.com'))
+      .to.equal('The provider URL must start with https://')
+  })
+})
@@ -0,0 +1,114 @@
+'use strict'
+/* global describe, it, before */
+
+global.URL = require('whatwg-url').URL
+global.URLSearchParams = require('whatwg-url').URLSearchParams
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.use(require('dirty-chai'))
+chai.should()
+
+const expect = chai.expect
+
+const { JWT } = require('@solid/jose')
+const sessionKeys = require('../src/session-keys')
+
+describe('session-keys', () => {
+  var keyPair, publicJwk
+
+  before(() => {
+    return sessionKeys.generateSessionKeyPair()
+      .then(generated => {
+        keyPair = generated.keyPair
+        publicJwk = generated.publicJwk
+      })
+  })
+
+  describe('generateSessionKeyPair()', () => {
+    it('should generate a non-extractable private key', () => {
+      expect(keyPair.privateKey.extractable).to.be.false()
+      expect(publicJwk.kty).to.equal('RSA')
+      expect(publicJwk.d).to.not.exist()
+    })
+  })
+
+  describe('MemoryKeyStore', () => {
+    it('should save, load and remove key pairs by handle', () => {
+      const keyStore = new sessionKeys.MemoryKeyStore()
+
+      return keyStore.saveKey('handle1', keyPair)
+        .then(() => keyStore.loadKey('handle1'))
+        .then(loaded => {
+          expect(loaded).to.equal(keyPair)
+
+          return keyStore.removeKey('handle1')
+        })
+        .then(() => keyStore.loadKey('handle1'))
+        .then(loaded => {
+          expect(loaded).to.be.null()
+        })
+    })
+  })
+
+  describe('replaceRequestKey()', () => {
+    it('should replace the key param in the query string', () => {
+      const authUri = 'https://provider.example.com/authorize?state=abcd&key=%5Bobject+Object%5D'
+
+      return sessionKeys.replaceRequestKey(authUri, publicJwk)
+        .then(uri => {
+          const params = new URL(uri).searchParams
+
+          expect(params.get('state')).to.equal('abcd')
+          expect(JSON.parse(params.get('key'))).to.eql(publicJwk)
+        })
+    })
+
+    it('should replace the key in the request object', () => {
+      const payload = { state: 'abcd', key: { kty: 'RSA', n: 'old' } }
+
+      return new JWT({ header: { alg: 'none' }, payload }, { filter: false }).encode()
+        .then(request => {
+          const authUri = `https://provider.example.com/authorize?state=abcd&request=${request}`
+
+          return sessionKeys.replaceRequestKey(authUri, publicJwk)
+        })
+        .then(uri => {
+          const request = JWT.decode(new URL(uri).searchParams.get('request'))
+
+          expect(request.payload.state).to.equal('abcd')
+          expect(request.payload.key).to.eql(publicJwk)
+        })
+    })
+  })
+
+  describe('issuePoPToken()', () => {
+    const session = {
+      authorization: { client_id: 'client123', id_token: 'id.token' }
+    }
+
+    it('should issue a PoP token signed with the session key', () => {
+      return sessionKeys.issuePoPToken('https://rs.example.com/resource', session, keyPair)
+        .then(token => {
+          const jwt = JWT.decode(token)
+
+          expect(jwt.header.alg).to.equal('RS256')
+          expect(jwt.payload.aud).to.equal('https://rs.example.com')
+          expect(jwt.payload.iss).to.equal('client123')
+          expect(jwt.payload.id_token).to.equal('id.token')
+
+          return JWT.verify(keyPair.publicKey, token)
+        })
+        .then(jwt => {
+          expect(jwt.verified).to.be.true()
+        })
+    })
+
+    it('should reject without an id token', () => {
+      return expect(sessionKeys.issuePoPToken('https://rs.example.com', {
+        authorization: { client_id: 'client123' }
+      }, keyPair)).to.be.rejectedWith(/missing id token/)
+    })
+  })
+})
@@ -0,0 +1,189 @@
+'use strict'
+/* global describe, it, beforeEach */
+
+const localStorage = require('localstorage-memory')
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.use(require('dirty-chai'))
+chai.should()
+
+const expect = chai.expect
+
+const storage = require('../src/storage')
+
+// An in-memory IndexedDB factory, with just enough of the API for
+// IndexedDBStorage (requests succeed, and transactions complete,
+// asynchronously, like the real ones). With `abortWrites`, readwrite
+// transactions are aborted after their request succeeded, as when the
+// storage quota is exceeded.
+function fakeIndexedDB ({ abortWrites = false } = {}) {
+  const databases = {}
+
+  function transaction (items, mode) {
+    const transaction = {}
+    const isAborted = abortWrites && mode === 'readwrite'
+
+    function request (operation) {
+      const request = {}
+      setImmediate(() => {
+        request.result = operation()
+        if (request.onsuccess) { request.onsuccess() }
+
+        setImmediate(() => {
+          if (isAborted) {
+            transaction.error = new Error('QuotaExceededError')
+            transaction.onabort()
+          } else {
+            transaction.oncomplete()
+          }
+        })
+      })
+      return request
+    }
+
+    transaction.objectStore = () => ({
+      get: key => request(() => items.get(key)),
+      put: (value, key) => request(() => { items.set(key, value); return key }),
+      delete: key => request(() => { items.delete(key) }),
+      getAllKeys: () => request(() => Array.from(items.keys()))
+    })
+
+    return transaction
+  }
+
+  return {
+    open (name) {
+      const openRequest = {}
+      setImmediate(() => {
+        const isNew = !databases[name]
+        const stores = databases[name] = databases[name] || {}
+
+        openRequest.result = {
+          createObjectStore: storeName => { stores[storeName] = new Map() },
+          transaction: (storeName, mode) => transaction(stores[storeName], mode)
+        }
+        if (isNew) { openRequest.onupgradeneeded() }
+        openRequest.onsuccess()
+      })
+      return openRequest
+    }
+  }
+}
+
+// The same behavior, for each of the adapters
+function itBehavesLikeAStorageAdapter (createStorage) {
+  var store
+
+  beforeEach(() => {
+    store = createStorage()
+  })
+
+  it('should resolve to null for a missing item', () => {
+    return expect(store.getItem('missing')).to.eventually.be.null()
+  })
+
+  it('should set, get and remove items', () => {
+    return store.setItem('key', 'value')
+      .then(() => store.getItem('key'))
+      .then(value => {
+        expect(value).to.equal('value')
+
+        return store.removeItem('key')
+      })
+      .then(() => store.getItem('key'))
+      .then(value => {
+        expect(value).to.be.null()
+      })
+  })
+
+  it('should list the keys of the stored items', () => {
+    return Promise.all([store.setItem('a', '1'), store.setItem('b', '2')])
+      .then(() => store.keys())
+      .then(keys => {
+        expect(keys.sort()).to.eql(['a', 'b'])
+      })
+  })
+}
+
+describe('storage', () => {
+  describe('MemoryStorage', () => {
+    itBehavesLikeAStorageAdapter(() => new storage.MemoryStorage())
+  })
+
+  describe('WebStorage', () => {
+    beforeEach(() => {
+      localStorage.clear()
+    })
+
+    itBehavesLikeAStorageAdapter(() => new storage.WebStorage(localStorage))
+
+    it('should write through to the wrapped store', () => {
+      return new storage.WebStorage(localStorage).setItem('key', 'value')
+        .then(() => {
+          expect(localStorage.getItem('key')).to.equal('value')
+        })
+    })
+
+    it('should wrap a store with async methods', () => {
+      const items = {}
+      const asyncStore = new storage.WebStorage({
+        getItem: key => Promise.resolve(items[key]),
+        setItem: (key, value) => Promise.resolve().then(() => { items[key] = value })
+      })
+
+      return asyncStore.setItem('key', 'value')
+        .then(() => asyncStore.getItem('key'))
+        .then(value => {
+          expect(value).to.equal('value')
+
+          return asyncStore.getItem('missing')
+        })
+        .then(value => {
+          expect(value).to.be.null()
+        })
+    })
+  })
+
+  describe('IndexedDBStorage', () => {
+    itBehavesLikeAStorageAdapter(() => new storage.IndexedDBStorage({
+      indexedDB: fakeIndexedDB()
+    }))
+
+    it('should reject if a write transaction is aborted', () => {
+      const store = new storage.IndexedDBStorage({
+        indexedDB: fakeIndexedDB({ abortWrites: true })
+      })
+
+      return expect(store.setItem('key', 'value'))
+        .to.be.rejectedWith(/QuotaExceededError/)
+    })
+
+    it('should reject if IndexedDB is not available', () => {
+      const store = new storage.IndexedDBStorage({ indexedDB: null })
+
+      return expect(store.getItem('key'))
+        .to.be.rejectedWith(/IndexedDB is not available/)
+    })
+  })
+
+  describe('from()', () => {
+    it('should default to an in-memory store', () => {
+      expect(storage.from()).to.be.an.instanceof(storage.MemoryStorage)
+    })
+
+    it('should wrap a localStorage-like store', () => {
+      const store = storage.from(localStorage)
+
+      expect(store).to.be.an.instanceof(storage.WebStorage)
+      expect(store.storage).to.equal(localStorage)
+    })
+
+    it('should pass through an async storage adapter', () => {
+      const store = new storage.MemoryStorage()
+
+      expect(storage.from(store)).to.equal(store)
+    })
+  })
+})
@@ -0,0 +1,109 @@
+'use strict'
+/* global describe, it */
+
+global.URL = require('whatwg-url').URL
+
+const chai = require('chai')
+const sinon = require('sinon')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.use(require('dirty-chai'))
+chai.should()
+
+const expect = chai.expect
+
+const webIdProfile = require('../src/webid-profile')
+
+describe('webid-profile', () => {
+  const webId = 'https://alice.example.com/profile/card#me'
+  const issuer = 'https://provider.example.com'
+
+  describe('parseOidcIssuers()', () => {
+    it('should parse issuers from a Turtle profile', () => {
+      const profile = `
+        @prefix solid: <http://www.w3.org/ns/solid/terms#>.
+        @prefix foaf: <http://xmlns.com/foaf/0.1/>.
+
+        <#me> a foaf:Person;
+          solid:oidcIssuer <${issuer}>, <https://other.example.com>.
+
+        <#bob> solid:oidcIssuer <https://bob.example.com>.
+      `
+
+      expect(webIdProfile.parseOidcIssuers(webId, profile, 'text/turtle'))
+        .to.eql([issuer, 'https://other.example.com'])
+    })
+
+    it('should parse issuers from a compact JSON-LD profile', () => {
+      const profile = JSON.stringify({
+        '@context': { solid: 'http://www.w3.org/ns/solid/terms#' },
+        '@id': '#me',
+        'solid:oidcIssuer': { '@id': issuer }
+      })
+
+      expect(webIdProfile.parseOidcIssuers(webId, profile, 'application/ld+json'))
+        .to.eql([issuer])
+    })
+
+    it('should parse issuers from a JSON-LD profile using term definitions', () => {
+      const profile = JSON.stringify({
+        '@context': [
+          'https://www.w3.org/ns/solid/v1',
+          {
+            solid: 'http://www.w3.org/ns/solid/terms#',
+            oidcIssuer: { '@id': 'solid:oidcIssuer', '@type': '@id' }
+          }
+        ],
+        '@graph': [
+          { '@id': webId, oidcIssuer: [issuer] },
+          { '@id': 'https://bob.example.com/#me', oidcIssuer: 'https://bob.example.com' }
+        ]
+      })
+
+      expect(webIdProfile.parseOidcIssuers(webId, profile, 'application/ld+json'))
+        .to.eql([issuer])
+    })
+
+    it('should parse issuers from an expanded JSON-LD profile', () => {
+      const profile = JSON.stringify([{
+        '@id': webId,
+        'http://www.w3.org/ns/solid/terms#oidcIssuer': [{ '@id': issuer }]
+      }])
+
+      expect(webIdProfile.parseOidcIssuers(webId, profile, 'application/ld+json'))
+        .to.eql([issuer])
+    })
+
+    it('should return no issuers if the profile lists none', () => {
+      const profile = `<${webId}> <http://xmlns.com/foaf/0.1/name> "Alice".`
+
+      expect(webIdProfile.parseOidcIssuers(webId, profile, 'text/turtle'))
+        .to.eql([])
+    })
+  })
+
+  describe('fetchOidcIssuers()', () => {
+    it('should fetch the profile and parse its issuers', () => {
+      const fetch = sinon.stub().resolves({
+        ok: true,
+        headers: { get: () => 'text/turtle; charset=utf-8' },
+        text: () => Promise.resolve(
+          `<#me> <http://www.w3.org/ns/solid/terms#oidcIssuer> <${issuer}>.`)
+      })
+
+      return webIdProfile.fetchOidcIssuers(webId, fetch)
+        .then(issuers => {
+          expect(issuers).to.eql([issuer])
+          expect(fetch.firstCall.args[0]).to.equal(webId)
+          expect(fetch.firstCall.args[1].headers.Accept).to.match(/text\/turtle/)
+        })
+    })
+
+    it('should reject if the profile cannot be fetched', () => {
+      const fetch = sinon.stub().resolves({ ok: false, status: 404 })
+
+      return expect(webIdProfile.fetchOidcIssuers(webId, fetch))
+        .to.be.rejectedWith(/Error fetching WebID profile .* 404/)
+    })
+  })
+})